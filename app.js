@@ -9,9 +9,26 @@ import {payments} from "./routes/payment.routes.js";
 import {peticiones} from "./routes/peticiones.routes.js";
 import peliskal from "./routes/peliskal.movie.routes.js";
 import telegramRoutes from './routes/telegram.routes.js';
+import { authors } from "./routes/authors.routes.js";
+import { categories } from "./routes/categories.routes.js";
+import { series } from "./routes/series.routes.js";
+import { admin } from "./routes/admin.routes.js";
+import Book from "./model/book.model.js";
+import Movie from "./model/peliskal.movie.model.js";
+import { backfillSlugs, backfillBookFiles } from "./services/book.service.js";
+import { backfillBookAuthors } from "./services/author.service.js";
+import { backfillCategories } from "./services/category.service.js";
+import { refreshTrending } from "./services/trending.service.js";
+import { resumeImports } from "./services/import.service.js";
+import { startJobWorker, enqueueJobIfDue } from "./services/job.service.js";
+import { LOCAL_IMAGE_DIR, LOCAL_IMAGE_ROUTE } from "./imageStores/local.store.js";
 
 const app = Express();
 const PORT = process.env.PORT || 3000;
+// Cada cuántos minutos se recalculan las tendencias
+const TRENDING_REFRESH_MINUTES = parseInt(process.env.TRENDING_REFRESH_MINUTES) || 30;
+// Cada cuántas horas se verifican los archivos de los libros (0 = nunca)
+const LINK_HEALTH_HOURS = parseInt(process.env.LINK_HEALTH_INTERVAL_HOURS ?? 24);
 let db;
 
 app.use(Express.json());
@@ -25,6 +42,12 @@ app.use("/payment", payments);
 app.use("/peticiones", peticiones);
 app.use("/telegram", telegramRoutes);
 app.use("/peliskal", peliskal);
+app.use("/authors", authors);
+app.use("/categories", categories);
+app.use("/series", series);
+app.use("/admin", admin);
+// Portadas generadas con el almacenamiento de imágenes local (IMAGE_STORE=local)
+app.use(LOCAL_IMAGE_ROUTE, Express.static(LOCAL_IMAGE_DIR, { maxAge: '7d' }));
 
 
 // Conectar a la base de datos antes de iniciar el servidor
@@ -34,6 +57,74 @@ connectToDatabase()
     app.listen(PORT, () => {
       console.log(`Servidor corriendo en el puerto ${PORT}`);
     });
+
+    // Completa en segundo plano los campos de búsqueda normalizados de documentos anteriores
+    Promise.all([Book.backfillSearchText(), Movie.backfillSearchText()])
+      .then(([books, movies]) => {
+        if (books || movies) console.log(`Búsqueda normalizada: ${books} libros y ${movies} películas actualizados.`);
+      })
+      .catch((err) => console.error("Error al completar los campos de búsqueda:", err.message));
+
+    // Asigna slug a los libros que todavía no lo tienen
+    backfillSlugs()
+      .then((count) => {
+        if (count) console.log(`Slugs generados para ${count} libros.`);
+      })
+      .catch((err) => console.error("Error al generar los slugs:", err.message));
+
+    // Registra como edición el archivo principal de los libros anteriores a las ediciones
+    backfillBookFiles()
+      .then((count) => {
+        if (count) console.log(`Ediciones registradas en ${count} libros.`);
+      })
+      .catch((err) => console.error("Error al registrar las ediciones:", err.message));
+
+    // Vincula con su autor a los libros que todavía no lo tienen
+    backfillBookAuthors()
+      .then((count) => {
+        if (count) console.log(`Autores vinculados en ${count} libros.`);
+      })
+      .catch((err) => console.error("Error al vincular autores:", err.message));
+
+    // Crea las categorías existentes y unifica sus variantes en los libros
+    backfillCategories()
+      .then((count) => {
+        if (count) console.log(`Categorías unificadas en ${count} libros.`);
+      })
+      .catch((err) => console.error("Error al unificar categorías:", err.message));
+
+    // Retoma las importaciones masivas que quedaron a medias
+    resumeImports()
+      .then((count) => {
+        if (count) console.log(`Importaciones retomadas: ${count}.`);
+      })
+      .catch((err) => console.error("Error al retomar las importaciones:", err.message));
+
+    // Ejecuta las tareas de mantenimiento encoladas desde /admin/jobs
+    startJobWorker();
+
+    // Encola la verificación de archivos cuando pasó el intervalo desde la última
+    if (LINK_HEALTH_HOURS > 0) {
+      const intervalMs = LINK_HEALTH_HOURS * 60 * 60 * 1000;
+      const scheduleLinkHealth = () => {
+        enqueueJobIfDue('link-health', {}, intervalMs)
+          .catch((err) => console.error("Error al encolar la verificación de archivos:", err.message));
+      };
+      scheduleLinkHealth();
+      setInterval(scheduleLinkHealth, Math.min(intervalMs, 60 * 60 * 1000));
+    }
+
+    // Recalcula periódicamente las tendencias (sin superponer dos cálculos)
+    let refreshingTrending = false;
+    const runTrending = () => {
+      if (refreshingTrending) return;
+      refreshingTrending = true;
+      refreshTrending()
+        .catch((err) => console.error("Error al calcular las tendencias:", err.message))
+        .finally(() => { refreshingTrending = false; });
+    };
+    runTrending();
+    setInterval(runTrending, TRENDING_REFRESH_MINUTES * 60 * 1000);
   })
   .catch((err) => {
     console.error(
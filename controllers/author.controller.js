@@ -0,0 +1,77 @@
+// controllers/author.controller.js
+import * as authorService from "../services/author.service.js";
+import * as accessService from "../services/access.service.js";
+
+// Traduce los errores del servicio a su código HTTP
+const handleError = (res, error) => {
+  if (error.message === 'Autor no encontrado.') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message === 'El autor ya existe.') {
+    return res.status(409).json({ message: error.message });
+  }
+  if (error.message === 'Se requieren dos autores distintos para fusionar.' ||
+      error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+export const list = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await authorService.listAuthors(req.query.q, page, limit);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const findOne = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+
+    const result = await authorService.getAuthorPage(req.params.slug, page, limit);
+    res.status(200).json({ ...result, books: accessService.redactBooks(result.books, req.user) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const create = async (req, res) => {
+  try {
+    const { nombre, aliases, bio, foto } = req.body;
+    if (!nombre || nombre.trim() === "") {
+      return res.status(400).json({ message: "El nombre del autor es requerido." });
+    }
+
+    const author = await authorService.createAuthor({ nombre, aliases, bio, foto });
+    res.status(201).json({ success: true, author });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const update = async (req, res) => {
+  try {
+    const { nombre, aliases, bio, foto } = req.body;
+    const author = await authorService.updateAuthor(req.params.idAuthor, { nombre, aliases, bio, foto });
+    res.status(200).json({ success: true, author });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const merge = async (req, res) => {
+  try {
+    // El autor de la URL se fusiona dentro de targetId y desaparece
+    const { targetId } = req.body;
+    const result = await authorService.mergeAuthors(req.params.idAuthor, targetId);
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
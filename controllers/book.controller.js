@@ -1,5 +1,17 @@
 // controllers/book.controller.js
 import * as bookService from "../services/book.service.js";
+import * as accessService from "../services/access.service.js";
+import * as downloadService from "../services/download.service.js";
+import * as trendingService from "../services/trending.service.js";
+import * as similarService from "../services/similar.service.js";
+import { isCursorRequest } from "../utils/pagination.utils.js";
+import { parseRangeHeader, parseEntityTag } from "../utils/http.utils.js";
+import { buildContentDisposition } from "../utils/file.utils.js";
+import { pipeline } from "stream/promises";
+
+// Un cursor mal formado o de otro orden, o un ranking inexistente, es un error del cliente
+const CLIENT_ERRORS = ['Cursor inválido.', 'Ventana inválida.', 'Ranking inválido.'];
+const statusFor = (error) => CLIENT_ERRORS.includes(error.message) ? 400 : 500;
 
 export const findAll = async (req, res) => {
   try {
@@ -7,11 +19,21 @@ export const findAll = async (req, res) => {
     const page = parseInt(req.query.page) || 1; // Página por defecto es 1
     const limit = parseInt(req.query.limit) || 10; // Límite por defecto es 10
 
+    // Paginación por cursor (opcional): ?cursor= para la primera página, luego el nextCursor recibido
+    if (isCursorRequest(req.query)) {
+      const withCount = req.query.withCount === 'true';
+      const { books, nextCursor, totalCount } = await bookService.findAllBooksByCursor(req.query.cursor, limit, withCount);
+      const metadata = { limit, nextCursor };
+      if (withCount) metadata.totalCount = totalCount;
+      return res.status(200).json({ data: accessService.redactBooks(books, req.user), metadata });
+    }
+
     const { books, totalCount, totalPages } = await bookService.findAllBooks(page, limit);
 
     // Enviar los libros y metadatos de paginación en la respuesta
+    // Los links de descarga no viajan en los listados (se piden a /download-link)
     res.status(200).json({
-      data: books,
+      data: accessService.redactBooks(books, req.user),
       metadata: {
         page,
         limit,
@@ -20,7 +42,7 @@ export const findAll = async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(statusFor(error)).json({ message: error.message });
   }
 };
 
@@ -28,18 +50,117 @@ export const findOne = async (req, res) => {
   try {
       // req.params.idBook ahora contiene el slug completo (ej: el-padrino-id)
       const idBook = req.params.idBook; 
-      const book = await bookService.findBookById(idBook);
+      const book = await bookService.findBookById(idBook, req.user?.id);
         console.log("respuesta -> ", book)
       if (!book) {
           // Si el libro no se encuentra con el ID extraído
           return res.status(404).json({ message: "Libro no encontrado" });
       }
-      res.status(200).json(book);
+
+      // Slug anterior (libro renombrado) o URL vieja `titulo-<id>`: redirigimos al slug actual
+      const canonicalSlug = bookService.getCanonicalRedirect(idBook, book);
+      if (canonicalSlug) {
+          return res
+              .status(301)
+              .location(`${req.baseUrl}/${encodeURIComponent(canonicalSlug)}`)
+              .json({ message: "El libro cambió de dirección", canonicalSlug });
+      }
+
+      // La vista cuenta para las tendencias (sin esperar a que se guarde)
+      trendingService.recordView(book._id, req.user?.id);
+      res.status(200).json(accessService.redactBook(book, req.user));
   } catch (error) {
       res.status(500).json({ message: error.message });
   }
 };
 
+// Errores al entregar una descarga: sin el formato o archivo (404), cuota agotada por otro
+// pedido al mismo tiempo (429) o ninguna copia responde (502)
+const downloadStatusFor = (error) => {
+  if (['Formato no disponible.', 'El libro no tiene archivos disponibles.'].includes(error.message)) return 404;
+  if (error.message === 'Alcanzaste el límite de descargas de tu plan.') return 429;
+  if (error.message === 'No se pudo acceder a ninguna copia del archivo.') return 502;
+  return 500;
+};
+
+// Entrega el link de descarga si el plan y la cuota del usuario lo permiten (?format=EPUB elige la edición)
+export const downloadLink = async (req, res) => {
+  try {
+    const book = await bookService.findBookById(req.params.idBook);
+    if (!book) {
+      return res.status(404).json({ message: "Libro no encontrado" });
+    }
+
+    const access = await downloadService.authorizeDownload(req.user, book);
+    if (!access.allowed) {
+      const { status, message, upgrade, quota } = access;
+      return res.status(status).json({ message, upgrade, quota });
+    }
+
+    const result = await downloadService.issueDownloadLink(req.user, book, req.query.format);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(downloadStatusFor(error)).json({ message: error.message });
+  }
+};
+
+// Descarga el archivo a través del servidor (?format=EPUB elige la edición). Acepta Range
+// para reanudar descargas (con If-Range y el ETag recibido no cuentan de nuevo); los links
+// de Telegram nunca llegan al cliente
+export const download = async (req, res) => {
+  try {
+    const book = await bookService.findBookById(req.params.idBook);
+    if (!book) {
+      return res.status(404).json({ message: "Libro no encontrado" });
+    }
+
+    const requestedRange = parseRangeHeader(req.headers.range);
+    const ifRange = req.headers["if-range"];
+    const resumeToken = parseEntityTag(ifRange);
+    const access = await downloadService.authorizeFileStream(req.user, book, requestedRange, resumeToken);
+    if (!access.allowed) {
+      const { status, message, upgrade, quota } = access;
+      return res.status(status).json({ message, upgrade, quota });
+    }
+    // If-Range que no corresponde a la descarga: se entrega el archivo entero (RFC 9110)
+    const range = ifRange && !access.resume ? null : requestedRange;
+
+    const file = await downloadService.openFileDownload(req.user, book, {
+      format: req.query.format,
+      range,
+      resume: access.resume
+    });
+
+    res.set({
+      "ETag": `"${file.resumeToken}"`,
+      "Content-Type": file.mimeType,
+      "Content-Disposition": buildContentDisposition(file.filename),
+      "Accept-Ranges": "bytes",
+      "Cache-Control": "private, no-store"
+    });
+    if (file.range) {
+      res.status(206).set({
+        "Content-Range": `bytes ${file.range.start}-${file.range.end}/${file.totalSize ?? "*"}`,
+        "Content-Length": file.range.end - file.range.start + 1
+      });
+    } else if (file.totalSize) {
+      res.set("Content-Length", file.totalSize);
+    }
+
+    await pipeline(file.stream, res);
+  } catch (error) {
+    // El cliente cortó la descarga, o falló a mitad del envío: ya no se puede responder
+    if (res.headersSent) {
+      if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error("Error enviando el archivo:", error.message);
+      return res.destroy();
+    }
+    if (error.message === "Rango no satisfacible.") {
+      return res.status(416).json({ message: error.message });
+    }
+    res.status(downloadStatusFor(error)).json({ message: error.message });
+  }
+};
+
 export const create = async (req, res) => {
   try {
     //console.log(req.body);
@@ -90,7 +211,7 @@ export const searchBooks = async (req, res) => {
     const { books, totalCount, totalPages } = await bookService.searchBooksService(q, page, limit);
 
     res.status(200).json({
-      data: books,
+      data: accessService.redactBooks(books, req.user),
       metadata: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -108,7 +229,7 @@ export const searchBooks = async (req, res) => {
 export const buscarBooks = async (req, res) => {
    console.log("Controlador - buscarBooks llamado con:", req.query);
     try {
-        const { q, page, limit, idioma, anio, fileType, autor,categorias, isPremium } = req.query;
+        const { q, page, limit, idioma, anio, anioDesde, anioHasta, fileType, autor,categorias, isPremium, facets, series, sort, window } = req.query;
      
         const result = await bookService.buscarBooks({
             q,
@@ -116,14 +237,61 @@ export const buscarBooks = async (req, res) => {
             limit: parseInt(limit) || 12,
             idioma,
             anio: anio ? parseInt(anio) : undefined,
+            anioDesde: anioDesde ? parseInt(anioDesde) : undefined, // Rango de años (buckets del facet)
+            anioHasta: anioHasta ? parseInt(anioHasta) : undefined,
             fileType,
             autor,      // Pasamos autor
             isPremium,  // Pasamos isPremium
-            categorias
+            categorias,
+            series,     // Slug o ID de la saga
+            sort,       // sort=trending ordena por popularidad reciente
+            window,     // Ventana de sort=trending: 24h, 7d (default) o 30d
+            facets: facets !== 'false', // facets=false omite los conteos del sidebar
+            cursor: isCursorRequest(req.query) ? req.query.cursor : undefined,
+            withCount: req.query.withCount === 'true'
         });
 
-        res.status(200).json(result);
+        res.status(200).json({ ...result, books: accessService.redactBooks(result.books, req.user) });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(statusFor(err)).json({ message: err.message });
     }
-};
\ No newline at end of file
+};
+
+
+// Ranking de tendencias (?by=downloads para los más descargados) de la ventana pedida
+export const trending = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const result = await trendingService.getTrending(req.query.window, req.query.by, page, limit);
+    res.status(200).json({ ...result, books: accessService.redactBooks(result.books, req.user) });
+  } catch (err) {
+    res.status(statusFor(err)).json({ message: err.message });
+  }
+};
+
+// Libros similares para enlazar desde el detalle
+export const similar = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 30);
+    const result = await similarService.getSimilarBooks(req.params.idBook, limit);
+    res.status(200).json({ ...result, books: accessService.redactBooks(result.books, req.user) });
+  } catch (err) {
+    const status = err.message === 'Libro no encontrado.' ? 404 : statusFor(err);
+    res.status(status).json({ message: err.message });
+  }
+};
+
+export const suggest = async (req, res) => {
+  try {
+    const { q = "" } = req.query;
+    // Máximo 10 sugerencias por grupo
+    const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+
+    const result = await bookService.suggest(q, limit);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
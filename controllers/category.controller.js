@@ -0,0 +1,77 @@
+// controllers/category.controller.js
+import * as categoryService from "../services/category.service.js";
+
+// Traduce los errores del servicio a su código HTTP
+const handleError = (res, error) => {
+  if (error.message === 'Categoría no encontrada.') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message === 'La categoría ya existe.') {
+    return res.status(409).json({ message: error.message });
+  }
+  if (error.message === 'Se requieren dos categorías distintas para fusionar.' ||
+      error.message === 'Una categoría no puede quedar dentro de sí misma o de una subcategoría.' ||
+      error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+export const tree = async (req, res) => {
+  try {
+    const categories = await categoryService.getCategoryTree();
+    res.status(200).json({ categories });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const create = async (req, res) => {
+  try {
+    const { nombre, parentId } = req.body;
+    if (!nombre || nombre.trim() === "") {
+      return res.status(400).json({ message: "El nombre de la categoría es requerido." });
+    }
+
+    const category = await categoryService.createCategory({ nombre, parentId });
+    res.status(201).json({ success: true, category });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const rename = async (req, res) => {
+  try {
+    const { nombre } = req.body;
+    if (!nombre || nombre.trim() === "") {
+      return res.status(400).json({ message: "El nombre de la categoría es requerido." });
+    }
+
+    const result = await categoryService.renameCategory(req.params.idCategory, nombre);
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const merge = async (req, res) => {
+  try {
+    // La categoría de la URL se fusiona dentro de targetId y desaparece
+    const { targetId } = req.body;
+    const result = await categoryService.mergeCategories(req.params.idCategory, targetId);
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const setParent = async (req, res) => {
+  try {
+    // parentId null (o vacío) la deja como categoría de primer nivel
+    const { parentId } = req.body;
+    const category = await categoryService.setCategoryParent(req.params.idCategory, parentId);
+    res.status(200).json({ success: true, category });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
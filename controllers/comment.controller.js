@@ -0,0 +1,88 @@
+// controllers/comment.controller.js
+import * as commentService from "../services/comment.service.js";
+
+// Traduce los errores del servicio a su código HTTP
+const handleError = (res, error) => {
+  if (error.message === 'Libro no encontrado.' || error.message === 'Comentario no encontrado.') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message === 'No tienes permiso para modificar este comentario.') {
+    return res.status(403).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+export const list = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const isAdmin = req.user.role === 'admin';
+
+    const result = await commentService.listComments(req.params.idBook, page, limit, isAdmin);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const create = async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || text.trim() === "") {
+      return res.status(400).json({ message: "El comentario no puede estar vacío." });
+    }
+
+    const comment = await commentService.createComment(req.params.idBook, req.user.id, text);
+    res.status(201).json({ success: true, comment });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const update = async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || text.trim() === "") {
+      return res.status(400).json({ message: "El comentario no puede estar vacío." });
+    }
+
+    const { idBook, idComment } = req.params;
+    const comment = await commentService.editComment(idBook, idComment, req.user.id, text);
+    res.status(200).json({ success: true, comment });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const remove = async (req, res) => {
+  try {
+    const { idBook, idComment } = req.params;
+    await commentService.deleteComment(idBook, idComment, req.user.id, req.user.role === 'admin');
+    res.status(200).json({ message: "Comentario eliminado con éxito" });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const hide = async (req, res) => {
+  try {
+    const { idBook, idComment } = req.params;
+    const comment = await commentService.setCommentHidden(idBook, idComment, true);
+    res.status(200).json({ success: true, comment });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const restore = async (req, res) => {
+  try {
+    const { idBook, idComment } = req.params;
+    const comment = await commentService.setCommentHidden(idBook, idComment, false);
+    res.status(200).json({ success: true, comment });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
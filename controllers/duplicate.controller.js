@@ -0,0 +1,41 @@
+// controllers/duplicate.controller.js
+import * as duplicateService from "../services/duplicate.service.js";
+
+// Traduce los errores del servicio a su código HTTP
+const handleError = (res, error) => {
+  if (error.message === 'Libro no encontrado.') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (['Señal de duplicado inválida.', 'Se requiere al menos un duplicado distinto del libro que queda.'].includes(error.message) ||
+      error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+export const list = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await duplicateService.findDuplicateCandidates(req.query.reason, page, limit);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const merge = async (req, res) => {
+  try {
+    // El libro de la URL queda; los de duplicateIds se fusionan en él y desaparecen
+    const { duplicateIds } = req.body;
+    if (!Array.isArray(duplicateIds)) {
+      return res.status(400).json({ message: "duplicateIds debe ser una lista de IDs de libros." });
+    }
+
+    const result = await duplicateService.mergeBooks(req.params.idBook, duplicateIds);
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
@@ -0,0 +1,57 @@
+// controllers/import.controller.js
+import path from "path";
+import * as importService from "../services/import.service.js";
+
+// Formato según la extensión del archivo subido, si no se indica
+const FORMAT_BY_EXTENSION = { '.txt': 'text', '.csv': 'csv', '.json': 'json' };
+
+// Traduce los errores del servicio a su código HTTP
+const handleError = (res, error) => {
+  if (error.message === 'Importación no encontrada.') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (['Formato de importación inválido.', 'La importación no tiene filas.', 'La importación tiene demasiadas filas.',
+       'El CSV no tiene la columna "titulo".', 'El JSON no es válido.', 'El JSON debe ser una lista de libros.'].includes(error.message) ||
+      error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+export const create = async (req, res) => {
+  try {
+    // Archivo subido (multipart, campo "file") o contenido en el body: { format, content } o { format: 'json', books }
+    const filename = req.file?.originalname;
+    const format = req.body?.format || FORMAT_BY_EXTENSION[path.extname(filename || '').toLowerCase()];
+    const content = req.file ? req.file.buffer.toString('utf8') : (req.body?.content ?? req.body?.books);
+    if (!content) {
+      return res.status(400).json({ message: "Se requiere un archivo o el contenido a importar." });
+    }
+
+    const job = await importService.createImport(req.user.id, format, content, filename);
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const list = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await importService.listImports(page, limit);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const findOne = async (req, res) => {
+  try {
+    const job = await importService.getImport(req.params.jobId, req.query.status);
+    res.status(200).json(job);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
@@ -0,0 +1,83 @@
+// controllers/job.controller.js
+import * as jobService from "../services/job.service.js";
+
+// Traduce los errores del servicio a su código HTTP
+const handleError = (res, error) => {
+  if (error.message === 'Tarea no encontrada.') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message === 'La tarea no está en un estado que lo permita.') {
+    return res.status(409).json({ message: error.message });
+  }
+  if (['Tipo de tarea inválido.', 'Estado de tarea inválido.', 'Los parámetros de la tarea deben ser un objeto.'].includes(error.message) ||
+      error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+export const listTypes = (req, res) => {
+  res.status(200).json({ types: jobService.listJobTypes() });
+};
+
+export const create = async (req, res) => {
+  try {
+    const { type, params, maxAttempts } = req.body || {};
+    const job = await jobService.enqueueJob(type, params, { maxAttempts, userId: req.user.id });
+    res.status(201).json({ success: true, job });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const list = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, type } = req.query;
+
+    const result = await jobService.listJobs({ status, type }, page, limit);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const findOne = async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId);
+    res.status(200).json(job);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const logs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const result = await jobService.getJobLogs(req.params.jobId, page, limit);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const pause = async (req, res) => {
+  try {
+    const job = await jobService.pauseJob(req.params.jobId);
+    res.status(200).json({ success: true, job });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const resume = async (req, res) => {
+  try {
+    const job = await jobService.resumeJob(req.params.jobId);
+    res.status(200).json({ success: true, job });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
@@ -0,0 +1,43 @@
+// controllers/linkHealth.controller.js
+import * as linkHealthService from "../services/linkHealth.service.js";
+
+// Traduce los errores del servicio a su código HTTP
+const handleError = (res, error) => {
+  if (error.message === 'Libro no encontrado.') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (['Estado de control inválido.', 'hidden debe ser true o false.'].includes(error.message) || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+export const report = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await linkHealthService.listBrokenLinks(req.query.status, page, limit);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const hideBroken = async (req, res) => {
+  try {
+    const hidden = await linkHealthService.hideBrokenBooks();
+    res.status(200).json({ success: true, hidden });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const setVisibility = async (req, res) => {
+  try {
+    const book = await linkHealthService.setBookVisibility(req.params.idBook, req.body?.hidden);
+    res.status(200).json({ success: true, book });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
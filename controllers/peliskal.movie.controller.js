@@ -52,10 +52,12 @@ class MovieController {
     async search(req, res) {
         try {
             // Ejemplo de URL: /peliskal/search?query=avengers&type=movie&page=1
+            // Paginación por cursor: /peliskal/search?query=avengers&cursor= y luego &cursor=<nextCursor>
             const results = await MovieService.searchMovies(req.query);
             res.json(results);
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            const status = error.message === 'Cursor inválido.' ? 400 : 500;
+            res.status(status).json({ error: error.message });
         }
     }
 }
@@ -0,0 +1,49 @@
+// controllers/series.controller.js
+import * as seriesService from "../services/series.service.js";
+
+// Traduce los errores del servicio a su código HTTP
+const handleError = (res, error) => {
+  if (error.message === 'Saga no encontrada.') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'La saga ya existe.' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+export const findOne = async (req, res) => {
+  try {
+    const result = await seriesService.getSeriesPage(req.params.slug);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const create = async (req, res) => {
+  try {
+    const { nombre, descripcion, autorRef } = req.body;
+    if (!nombre || nombre.trim() === "") {
+      return res.status(400).json({ message: "El nombre de la saga es requerido." });
+    }
+
+    const series = await seriesService.createSeries({ nombre, descripcion, autorRef });
+    res.status(201).json({ success: true, series });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const update = async (req, res) => {
+  try {
+    const { nombre, descripcion, autorRef } = req.body;
+    const series = await seriesService.updateSeries(req.params.idSeries, { nombre, descripcion, autorRef });
+    res.status(200).json({ success: true, series });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
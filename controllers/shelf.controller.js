@@ -0,0 +1,74 @@
+// controllers/shelf.controller.js
+import * as shelfService from "../services/shelf.service.js";
+
+// Traduce los errores del servicio a su código HTTP
+const handleError = (res, error) => {
+  if (error.message === 'Libro no encontrado.' || error.message === 'El libro no está en tu biblioteca.') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (['Estado inválido.', 'Fecha inválida.', 'Año inválido.',
+       'El avance debe ser un número positivo.', 'El avance no puede superar el 100%.',
+       'La página supera la cantidad de páginas del libro.',
+       'La fecha de fin no puede ser anterior a la de inicio.'].includes(error.message) ||
+      error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+export const list = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await shelfService.getShelf(req.user.id, req.query.status, page, limit);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const findOne = async (req, res) => {
+  try {
+    const entry = await shelfService.getShelfEntry(req.user.id, req.params.bookId);
+    res.status(200).json(entry);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const save = async (req, res) => {
+  try {
+    const { status, startedAt, finishedAt, progress, currentPage } = req.body;
+    const entry = await shelfService.saveShelfEntry(req.user.id, req.params.bookId, {
+      status,
+      startedAt,
+      finishedAt,
+      progress,
+      currentPage
+    });
+    res.status(200).json({ success: true, entry });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+export const remove = async (req, res) => {
+  try {
+    await shelfService.removeShelfEntry(req.user.id, req.params.bookId);
+    res.status(200).json({ message: "Libro quitado de la biblioteca" });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Estadísticas de lectura del año (?year=2025, el actual por defecto)
+export const stats = async (req, res) => {
+  try {
+    const year = req.query.year ? Number(req.query.year) : new Date().getUTCFullYear();
+    const result = await shelfService.getReadingStats(req.user.id, year);
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+};
@@ -1,11 +1,65 @@
+import path from 'path';
 import * as telegramService from '../services/telegram.service.js';
 import * as bookService from '../services/book.service.js';
+import * as downloadService from '../services/download.service.js';
+import { extractFileMetadata, reconcileMetadata } from '../services/fileMetadata.service.js';
+import { generateCover, coverFields } from '../services/cover.service.js';
+import { getStorageProvider } from '../storage/index.js';
+import { getFileFormat, isBookFormat, BOOK_FORMATS, computeChecksum, buildBookFilename } from '../utils/file.utils.js';
 
 // Helper para respuestas estandarizadas
 const sendResponse = (res, success, data = {}, status = 200) => {
     res.status(status).json({ success, ...data });
 };
 
+// Verifica que el usuario pueda descargar el libro del archivo (plan y cuota). Si
+// puede, devuelve el libro; si no, responde (404, 401, 402, 403 o 429) y devuelve null.
+const authorizeFileDownload = async (req, res, fileId) => {
+    const book = await bookService.findBookByTelegramFileId(fileId);
+    if (!book) {
+        sendResponse(res, false, { message: 'Archivo no encontrado' }, 404);
+        return null;
+    }
+
+    const access = await downloadService.authorizeDownload(req.user, book);
+    if (!access.allowed) {
+        const { status, message, upgrade, quota } = access;
+        sendResponse(res, false, { message, upgrade, quota }, status);
+        return null;
+    }
+    return book;
+};
+
+// Formato del archivo de Telegram dentro de las ediciones del libro
+const formatOfFile = (book, fileId) =>
+    book.files?.find(edition => edition.telegram?.fileId === fileId)?.format || book.fileType;
+
+// Completa los datos enviados con los metadatos del archivo. Si el archivo no se puede leer,
+// la subida sigue con lo enviado y el error se informa en la respuesta.
+const readUploadMetadata = async (file, format, bookData) => {
+    try {
+        const extracted = await extractFileMetadata(file.buffer, format);
+        if (!extracted) return { data: bookData, metadata: null };
+
+        const { data, prefilled, conflicts } = reconcileMetadata(bookData, extracted);
+        return { data, metadata: { extracted, prefilled, conflicts } };
+    } catch (error) {
+        return { data: bookData, metadata: { error: `No se pudieron leer los metadatos: ${error.message}` } };
+    }
+};
+
+// Genera la portada del archivo si el libro todavía no tiene una generada. Como con los
+// metadatos, un error no frena la subida: se informa en la respuesta.
+const buildUploadCover = async (file, format, checksum, book) => {
+    if (book.cover?.sizes?.length) return { fields: {}, cover: null };
+    try {
+        const cover = await generateCover(file.buffer, format, checksum);
+        if (!cover) return { fields: {}, cover: null };
+        return { fields: coverFields(book, cover), cover };
+    } catch (error) {
+        return { fields: {}, cover: { error: `No se pudo generar la portada: ${error.message}` } };
+    }
+};
 
 export const handleNotify = async (req, res) => {
     try {
@@ -28,24 +82,68 @@ export const listChats = (req, res) => {
 
 export const handleUploadFile = async (req, res) => {
     try {
-        const { titulo, autor, sinopsis, categorias, link, anio, paginas } = req.body;
         const file = req.file;
 
         if (!file) return res.status(400).json({ success: false, message: 'Archivo requerido' });
 
-        // 1. Subir a Telegram (vía service)
-        const telegramRes = await telegramService.processAndUpload(file, req.body);
+        // Sin extensión ni tipo conocido se acepta el fileType enviado, si es un formato permitido
+        const hasExtension = Boolean(path.extname(file.originalname || ''));
+        const format = getFileFormat(file.originalname, file.mimetype) ||
+            (!hasExtension && isBookFormat(req.body.fileType) ? req.body.fileType.toUpperCase() : null);
+        if (!format) {
+            return res.status(400).json({ success: false, message: `Formato de archivo no permitido (${BOOK_FORMATS.join(', ')})` });
+        }
+
+        const { data: bookData, metadata } = await readUploadMetadata(file, format, req.body || {});
+
+        // Si ya existe un libro con ese título, el archivo se agrega como otra edición
+        const checksum = computeChecksum(file.buffer);
+        const existingBook = await bookService.findBookByTitle(bookData.titulo);
+        if (existingBook?.files?.some(edition => edition.checksum === checksum)) {
+            return res.status(409).json({ success: false, message: 'El archivo ya está cargado en este libro' });
+        }
+
+        const { fields: coverData, cover } = await buildUploadCover(file, format, checksum, existingBook || bookData);
+
+        // 1. Subir a Telegram
+        const uploaded = await getStorageProvider('telegram').upload({
+            source: file.buffer,
+            filename: buildBookFilename(bookData, format),
+            caption: telegramService.buildBookCaption(bookData)
+        });
+
+        const edition = {
+            ...uploaded,
+            format,
+            fileSize: uploaded.fileSize || file.size,
+            checksum,
+            isAvailable: true
+        };
 
         // 2. Guardar en MongoDB (vía tu book.service existente)
+        if (existingBook) {
+            const libroActualizado = await bookService.addBookFile(existingBook._id, edition, coverData);
+            return res.status(200).json({
+                success: true,
+                message: `Edición ${format} agregada al libro existente`,
+                libro: libroActualizado,
+                metadata,
+                cover
+            });
+        }
+
         const bookPayload = {
-            ...req.body,
+            ...bookData,
+            ...coverData,
+            fileType: format,
+            fileSize: edition.fileSize,
             telegram: {
-                fileId: telegramRes.document.file_id,
-                fileUniqueId: telegramRes.document.file_unique_id,
-                mimeType: telegramRes.document.mime_type,
-                fileSize: telegramRes.document.file_size,
+                ...edition.telegram,
+                mimeType: edition.mimeType,
+                fileSize: edition.fileSize,
                 isAvailable: true
-            }
+            },
+            files: [edition]
         };
 
         const libroGuardado = await bookService.createBook(bookPayload);
@@ -53,7 +151,9 @@ export const handleUploadFile = async (req, res) => {
         res.status(200).json({ 
             success: true, 
             message: 'Libro procesado exitosamente', 
-            libro: libroGuardado 
+            libro: libroGuardado,
+            metadata,
+            cover
         });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -63,22 +163,35 @@ export const handleResendFile = async (req, res) => {
     try {
         const { fileId, chatId } = req.body;
         if (!fileId || !chatId) return sendResponse(res, false, { message: 'Datos incompletos' }, 400);
+        const book = await authorizeFileDownload(req, res, fileId);
+        if (!book) return;
 
-        const result = await telegramService.resendFileById(fileId, chatId);
+        // La descarga se registra (y ocupa su lugar en la cuota) antes de reenviar el archivo
+        const download = await downloadService.recordDownload(req.user, book, 'telegram', formatOfFile(book, fileId));
+        let result;
+        try {
+            result = await telegramService.resendFileById(fileId, chatId);
+        } catch (error) {
+            await downloadService.cancelDownload(download);
+            throw error;
+        }
         sendResponse(res, true, { result });
     } catch (error) {
-        sendResponse(res, false, { error: error.message }, 500);
+        const status = error.message === 'Alcanzaste el límite de descargas de tu plan.' ? 429 : 500;
+        sendResponse(res, false, { error: error.message }, status);
     }
 };
 
+// Solo admins (uso interno): no pasa por la cuota ni se registra como descarga. El link lleva
+// el token del bot, así que tampoco se escribe en los logs
 export const handleGetDownloadLink = async (req, res) => {
     try {
         const { fileId } = req.body;
-        console.log("Solicitud de link de descarga para fileId:", fileId);
         if (!fileId) return sendResponse(res, false, { message: 'fileId requerido' }, 400);
+        const book = await bookService.findBookByTelegramFileId(fileId);
+        if (!book) return sendResponse(res, false, { message: 'Archivo no encontrado' }, 404);
 
         const url = await telegramService.getDownloadUrl(fileId);
-        console.log("URL de descarga obtenida:", url);
         sendResponse(res, true, { url });
     } catch (error) {
         sendResponse(res, false, { error: error.message }, 500);
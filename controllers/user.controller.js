@@ -3,7 +3,12 @@ import {
     loginUser,
     updateUser,
     deleteUser,
+    addFavoriteBook,
+    removeFavoriteBook,
+    getFavoriteBooks,
   } from "../services/user.service.js";
+import { getDownloadHistory } from "../services/download.service.js";
+import { getRecommendations } from "../services/recommendation.service.js";
   
   export const register = async (req, res) => {
     try {
@@ -47,4 +52,68 @@ import {
     } catch (error) {
       res.status(404).json({ message: error.message });
     }
-  };
\ No newline at end of file
+  };
+
+
+
+  //favoritos del usuario logueado
+  const handleFavoriteError = (res, error) => {
+    if (error.message === "Libro no encontrado." || error.message === "User not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  };
+
+  export const listFavorites = async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 12;
+      const result = await getFavoriteBooks(req.user.id, page, limit);
+      res.status(200).json(result);
+    } catch (error) {
+      handleFavoriteError(res, error);
+    }
+  };
+
+  export const addFavorite = async (req, res) => {
+    try {
+      const favoritos = await addFavoriteBook(req.user.id, req.params.bookId);
+      res.status(200).json({ success: true, favoritos });
+    } catch (error) {
+      handleFavoriteError(res, error);
+    }
+  };
+
+  export const removeFavorite = async (req, res) => {
+    try {
+      const favoritos = await removeFavoriteBook(req.user.id, req.params.bookId);
+      res.status(200).json({ success: true, favoritos });
+    } catch (error) {
+      handleFavoriteError(res, error);
+    }
+  };
+
+  export const listDownloads = async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const result = await getDownloadHistory(req.user, page, limit);
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+
+  // Recomendaciones personales (?idioma= cambia el idioma de los populares de respaldo)
+  export const listRecommendations = async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+      const result = await getRecommendations(req.user.id, limit, req.query.idioma);
+      res.status(200).json(result);
+    } catch (error) {
+      handleFavoriteError(res, error);
+    }
+  };
@@ -0,0 +1,38 @@
+// imageStores/cloudinary.store.js
+// Imágenes en Cloudinary, en la misma carpeta que usan los scripts de portadas.
+// Credenciales: CLOUDINARY_URL, o CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY y CLOUDINARY_API_SECRET.
+import path from 'path';
+import { v2 as cloudinary } from 'cloudinary';
+import streamifier from 'streamifier';
+
+const FOLDER = 'portadas_biblioteca';
+
+if (process.env.CLOUDINARY_CLOUD_NAME) {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+}
+
+export default {
+  name: 'cloudinary',
+
+  save: (key, buffer) => new Promise((resolve, reject) => {
+    const { name, ext } = path.parse(key);
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: FOLDER,
+        public_id: name,
+        format: ext.slice(1) || undefined,
+        overwrite: true
+      },
+      (error, result) => {
+        if (result) resolve(result.secure_url);
+        // Cloudinary devuelve un objeto { message, http_code }, no un Error
+        else reject(new Error(error?.message || 'No se pudo subir la imagen a Cloudinary.'));
+      }
+    );
+    streamifier.createReadStream(buffer).pipe(uploadStream);
+  })
+};
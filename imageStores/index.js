@@ -0,0 +1,24 @@
+// imageStores/index.js
+// Dónde se guardan las imágenes generadas por el servidor (portadas). Se elige con IMAGE_STORE.
+//
+// Cada almacenamiento expone:
+// - name: nombre con el que se elige y queda registrado en los libros.
+// - save(key, buffer, contentType): guarda la imagen y devuelve su URL pública. Guardar otra vez
+//   la misma key reemplaza la imagen.
+import localStore from './local.store.js';
+import cloudinaryStore from './cloudinary.store.js';
+
+const stores = new Map([localStore, cloudinaryStore].map(store => [store.name, store]));
+
+/**
+ * El almacenamiento de imágenes configurado (IMAGE_STORE, por defecto 'local').
+ * @returns {object} El almacenamiento.
+ */
+export const getImageStore = () => {
+  const name = process.env.IMAGE_STORE || 'local';
+  const store = stores.get(name);
+  if (!store) {
+    throw new Error(`Almacenamiento de imágenes desconocido: ${name}.`);
+  }
+  return store;
+};
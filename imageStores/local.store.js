@@ -0,0 +1,20 @@
+// imageStores/local.store.js
+// Imágenes en el disco del servidor, servidas por app.js en /portadas.
+import fs from 'fs/promises';
+import path from 'path';
+
+export const LOCAL_IMAGE_DIR = process.env.IMAGE_STORE_DIR || path.join(process.cwd(), 'uploads', 'portadas');
+export const LOCAL_IMAGE_ROUTE = '/portadas';
+
+export default {
+  name: 'local',
+
+  save: async (key, buffer) => {
+    // La key no puede salir del directorio
+    const filename = path.basename(key);
+    await fs.mkdir(LOCAL_IMAGE_DIR, { recursive: true });
+    await fs.writeFile(path.join(LOCAL_IMAGE_DIR, filename), buffer);
+    // Con PUBLIC_URL la URL queda absoluta (el frontend suele estar en otro dominio)
+    return `${process.env.PUBLIC_URL || ''}${LOCAL_IMAGE_ROUTE}/${encodeURIComponent(filename)}`;
+  }
+};
@@ -0,0 +1,57 @@
+// jobs/coverGenerate.job.js
+// Genera la portada (WebP en varios tamaños y BlurHash) de los libros que no la tienen, a partir
+// de su archivo PDF o EPUB (antes scripts-masivos/miniatura-epub.js y miniatruasDesdeGogleDrive.js).
+import * as bookRepository from '../repositories/book.repository.js';
+import { generateCover, coverFields } from '../services/cover.service.js';
+import { openBookFile } from '../storage/index.js';
+import { computeChecksum, withLegacyFiles } from '../utils/file.utils.js';
+
+// Formatos de los que se puede sacar la portada: primero EPUB (trae la imagen original)
+const COVER_FORMATS = ['EPUB', 'PDF'];
+const DEFAULT_MAX_SIZE_MB = 50;
+
+// Lee el archivo entero (hace falta para abrir el PDF o el ZIP del EPUB), con un tope de tamaño
+const readFile = async (stream, maxBytes) => {
+  const chunks = [];
+  let total = 0;
+  try {
+    for await (const chunk of stream) {
+      total += chunk.length;
+      if (total > maxBytes) return null;
+      chunks.push(chunk);
+    }
+  } finally {
+    stream.destroy();
+  }
+  return Buffer.concat(chunks);
+};
+
+export default {
+  type: 'cover-generate',
+  description: 'Genera la portada de los libros sin portada a partir de su archivo PDF o EPUB. Params: { maxSizeMb }.',
+  concurrency: 2,
+
+  validate: (params) => {
+    if (params.maxSizeMb !== undefined && !(Number(params.maxSizeMb) > 0)) {
+      throw new Error('maxSizeMb debe ser un número positivo.');
+    }
+  },
+  count: () => bookRepository.countWithoutCover(),
+  nextBatch: (params, afterId, limit) => bookRepository.findWithoutCover(afterId, limit),
+  label: (book) => book.titulo,
+
+  processItem: async (book, params) => {
+    const formats = new Set(withLegacyFiles(book.files || [], book).map(edition => edition.format));
+    const format = COVER_FORMATS.find(candidate => formats.has(candidate));
+    if (!format) return 'skipped';
+
+    const { stream } = await openBookFile(book, { format });
+    const buffer = await readFile(stream, (Number(params.maxSizeMb) || DEFAULT_MAX_SIZE_MB) * 1024 * 1024);
+    if (!buffer) return 'skipped';
+
+    const cover = await generateCover(buffer, format, computeChecksum(buffer));
+    if (!cover) return 'skipped';
+
+    await bookRepository.findByIdAndUpdate(book._id, { $set: coverFields(book, cover) });
+  }
+};
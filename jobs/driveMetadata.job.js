@@ -0,0 +1,75 @@
+// jobs/driveMetadata.job.js
+// Completa los datos de los libros de Drive con los del archivo: tamaño, páginas, idioma y
+// sinopsis (antes scripts-masivos/drive/optimizacion-libros.js).
+import * as bookRepository from '../repositories/book.repository.js';
+import { updateBook } from '../services/book.service.js';
+import { getStorageProvider } from '../storage/index.js';
+import { getFileFormat, getMimeType } from '../utils/file.utils.js';
+
+const PAGES_PATTERN = /(\d+)\s*(?:paginas|páginas|pag|p|pages)\b/i;
+const LANGUAGE_TAGS = { ESP: 'español', ES: 'español', ENG: 'inglés', EN: 'inglés' };
+
+// Título limpio a partir del nombre del archivo ("el_tunel [ESP] 120 paginas.pdf" -> "El Tunel")
+const cleanTitle = (name) => name
+  .replace(/\.[^/.]+$/, '')
+  .replace(PAGES_PATTERN, '')
+  .replace(/[[({].*?[\])}]/g, '')
+  .replace(/[_.-]/g, ' ')
+  .replace(/\b(pdf|epub|mobi|azw3|descargar|completo|full|final|v\d+|spanish|español|english|ingles)\b/gi, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase()
+  .replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+
+// Datos del archivo a guardar; solo se completan los vacíos (salvo el idioma, si el nombre lo indica)
+const buildUpdate = (book, { name = '', description, properties, size }, params) => {
+  const update = {};
+
+  const format = getFileFormat(name);
+  if (format && getMimeType(format)) update.fileType = format;
+  if (!book.fileSize && parseInt(size)) update.fileSize = parseInt(size);
+
+  const pages = parseInt(name.match(PAGES_PATTERN)?.[1] || properties?.paginas || properties?.pages);
+  if (!book.paginas && pages > 0) update.paginas = pages;
+
+  const languageTag = name.match(/\[(ESP|ENG|ES|EN)\]/i)?.[1].toUpperCase();
+  if (languageTag) update.idioma = LANGUAGE_TAGS[languageTag];
+  else if (properties?.idioma) update.idioma = properties.idioma.toLowerCase();
+
+  if (!book.sinopsis && description?.trim()) update.sinopsis = description.trim();
+
+  // El título del archivo reemplaza al cargado solo si se pide: puede haberse corregido a mano
+  const title = params.cleanTitles ? cleanTitle(name) : '';
+  if (title && title !== book.titulo) update.titulo = title;
+
+  return update;
+};
+
+export default {
+  type: 'drive-metadata',
+  description: 'Completa tamaño, páginas, idioma y sinopsis de los libros de Drive con los datos del archivo. Params: { all } (también los que ya tienen esos datos), { cleanTitles } (reemplaza el título por el del archivo).',
+  concurrency: 3,
+
+  validate: (params) => {
+    if (!process.env.GOOGLE_DRIVE_CREDENTIALS) {
+      throw new Error('Falta configurar GOOGLE_DRIVE_CREDENTIALS.');
+    }
+    for (const key of ['all', 'cleanTitles']) {
+      if (params[key] !== undefined && typeof params[key] !== 'boolean') {
+        throw new Error(`${key} debe ser true o false.`);
+      }
+    }
+  },
+  count: (params) => bookRepository.countForDriveMetadata(params.all),
+  nextBatch: (params, afterId, limit) => bookRepository.findForDriveMetadata(params.all, afterId, limit),
+  label: (book) => book.titulo,
+
+  processItem: async (book, params) => {
+    const metadata = await getStorageProvider('drive').metadata({ storage: 'drive', link: book.link });
+    const update = buildUpdate(book, metadata, params);
+    if (Object.keys(update).length === 0) return 'skipped';
+
+    // Por el servicio: si cambia el título se regenera el slug (y el anterior queda en el historial)
+    await updateBook(book._id, update);
+  }
+};
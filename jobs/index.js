@@ -0,0 +1,21 @@
+// jobs/index.js
+// Tipos de tareas en segundo plano que se pueden encolar desde /admin/jobs.
+//
+// Cada tipo recorre ítems (libros) en orden de _id, de a lotes:
+// - type, description: nombre con el que se encola y descripción para los admins.
+// - concurrency: ítems que se procesan en paralelo (por defecto 1).
+// - maxRunning: tareas de este tipo en ejecución a la vez (por defecto 1).
+// - itemDelayMs: espera entre un ítem y el siguiente (límites de APIs externas).
+// - validate(params): lanza un error si la tarea no se puede encolar.
+// - count(params): cantidad de ítems pendientes (para el avance; opcional).
+// - nextBatch(params, afterId, limit): los siguientes ítems después del último procesado.
+// - label(item): texto para reconocer el ítem en los errores (opcional).
+// - processItem(item, params): procesa un ítem; devuelve 'skipped' si no había nada que hacer
+//   y lanza un error si falló (se reintenta con espera creciente).
+import ouoShorten from './ouoShorten.job.js';
+import telegramSync from './telegramSync.job.js';
+import linkHealth from './linkHealth.job.js';
+import driveMetadata from './driveMetadata.job.js';
+import coverGenerate from './coverGenerate.job.js';
+
+export const jobTypes = [ouoShorten, telegramSync, linkHealth, driveMetadata, coverGenerate];
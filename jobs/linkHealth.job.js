@@ -0,0 +1,73 @@
+// jobs/linkHealth.job.js
+// Verifica que sigan existiendo los archivos de cada edición (Drive, Telegram o local): guarda el
+// resultado en cada edición, apaga `isAvailable` de las que ya no están y lo vuelve a prender si reaparecen.
+import * as bookRepository from '../repositories/book.repository.js';
+import { getStorageProvider } from '../storage/index.js';
+
+const MISSING_REASON = 'El archivo ya no existe.';
+
+const checkEdition = async (edition) => {
+  try {
+    const exists = await getStorageProvider(edition.storage).exists(edition);
+    return exists ? { status: 'ok' } : { status: 'missing', reason: MISSING_REASON };
+  } catch (error) {
+    // No se pudo verificar (red, límites de la API): no se cambia la disponibilidad
+    return { status: 'error', reason: error.message };
+  }
+};
+
+// Disponibilidad después del control: 'error' conserva la anterior
+const availability = (edition, status) => {
+  if (status === 'ok') return true;
+  if (status === 'missing') return false;
+  return edition.isAvailable !== false;
+};
+
+export default {
+  type: 'link-health',
+  description: 'Verifica que existan los archivos de cada libro y marca los que faltan. Params: { onlyFailing } (solo los que fallaron en el último control).',
+  concurrency: 3,
+
+  validate: (params) => {
+    if (params.onlyFailing !== undefined && typeof params.onlyFailing !== 'boolean') {
+      throw new Error('onlyFailing debe ser true o false.');
+    }
+  },
+  count: (params) => bookRepository.countForHealthCheck(params.onlyFailing),
+  nextBatch: (params, afterId, limit) => bookRepository.findForHealthCheck(params.onlyFailing, afterId, limit),
+  label: (book) => book.titulo,
+
+  processItem: async (book) => {
+    const editions = book.files || [];
+    if (editions.length === 0) return 'skipped';
+
+    const checkedAt = new Date();
+    const checks = await Promise.all(editions.map(checkEdition));
+    const results = editions.map((edition, i) => ({
+      edition,
+      ...checks[i],
+      available: availability(edition, checks[i].status)
+    }));
+
+    const status = !results.some(result => result.available)
+      ? 'broken'
+      : results.every(result => result.status === 'ok') ? 'ok' : 'partial';
+    const set = { linkHealth: { status, lastCheckedAt: checkedAt } };
+
+    // El archivo principal de Telegram (campo anterior a las ediciones) sigue a su edición
+    const telegramResult = book.telegram?.fileId &&
+      results.find(({ edition }) => edition.storage === 'telegram' && edition.telegram?.fileId === book.telegram.fileId);
+    if (telegramResult) set['telegram.isAvailable'] = telegramResult.available;
+    // Un libro ocultado por estar roto vuelve a las búsquedas cuando aparece alguna copia
+    if (status !== 'broken' && book.hidden && book.hiddenReason === 'broken') {
+      set.hidden = false;
+      set.hiddenReason = null;
+    }
+
+    await bookRepository.saveFilesHealth(book._id, results.map(({ edition, reason, available, ...check }) => ({
+      fileId: edition._id,
+      health: { status: check.status, reason, lastCheckedAt: checkedAt },
+      isAvailable: available
+    })), set);
+  }
+};
@@ -0,0 +1,34 @@
+// jobs/ouoShorten.job.js
+// Acorta con ouo.io el link de Drive de los libros que todavía no lo tienen
+// (antes scripts-masivos/generar-acortador-ouo.js).
+import axios from 'axios';
+import * as bookRepository from '../repositories/book.repository.js';
+
+export default {
+  type: 'ouo-shorten',
+  description: 'Acorta con ouo.io los links de los libros que no tienen link de ouo.',
+  concurrency: 1,
+  // La API de ouo limita las peticiones seguidas
+  itemDelayMs: 1000,
+
+  validate: () => {
+    if (!process.env.OUO_API_KEY) {
+      throw new Error('Falta configurar OUO_API_KEY.');
+    }
+  },
+  count: () => bookRepository.countWithoutOuo(),
+  nextBatch: (params, afterId, limit) => bookRepository.findWithoutOuo(afterId, limit),
+  label: (book) => book.titulo,
+
+  processItem: async (book) => {
+    const { data } = await axios.get(`https://ouo.io/api/${process.env.OUO_API_KEY}`, {
+      params: { s: book.link },
+      timeout: 15000
+    });
+    const shortLink = typeof data === 'string' ? data.trim() : '';
+    if (!shortLink.includes('ouo.io')) {
+      throw new Error('ouo.io no devolvió un link acortado.');
+    }
+    await bookRepository.findByIdAndUpdate(book._id, { $set: { ouo: shortLink } });
+  }
+};
@@ -0,0 +1,68 @@
+// jobs/telegramSync.job.js
+// Sube a Telegram el archivo de Drive de los libros que todavía no tienen copia allí
+// (antes scripts-masivos/syncToTelegramViaApi.js).
+import * as bookRepository from '../repositories/book.repository.js';
+import { CHANNEL_ID, buildBookCaption } from '../services/telegram.service.js';
+import { getStorageProvider } from '../storage/index.js';
+import { buildBookFilename } from '../utils/file.utils.js';
+
+// Telegram no acepta documentos de más de 50 MB desde un bot
+const DEFAULT_MAX_SIZE_MB = 49;
+
+export default {
+  type: 'telegram-sync',
+  description: 'Sube a Telegram los archivos de Drive de los libros sin copia en Telegram. Params: { maxSizeMb }.',
+  concurrency: 3,
+
+  validate: (params) => {
+    if (!CHANNEL_ID) {
+      throw new Error('Falta configurar TELEGRAM_CHANNEL_ID.');
+    }
+    if (params.maxSizeMb !== undefined && !(Number(params.maxSizeMb) > 0)) {
+      throw new Error('maxSizeMb debe ser un número positivo.');
+    }
+  },
+  count: () => bookRepository.countWithoutTelegram(),
+  nextBatch: (params, afterId, limit) => bookRepository.findWithoutTelegram(afterId, limit),
+  label: (book) => book.titulo,
+
+  processItem: async (book, params) => {
+    if (!/[-\w]{25,}/.test(book.link || '')) return 'skipped';
+    const drive = getStorageProvider('drive');
+    const telegram = getStorageProvider('telegram');
+    const source = { storage: 'drive', link: book.link };
+
+    // Se controla el peso antes de descargar
+    const maxBytes = (Number(params.maxSizeMb) || DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+    const size = await drive.size(source);
+    if (!size || size > maxBytes) return 'skipped';
+
+    // Descarga por stream: el archivo no se guarda entero en memoria
+    const { stream } = await drive.stream(source);
+    try {
+      const format = (book.fileType || 'PDF').toUpperCase();
+      const uploaded = await telegram.upload({
+        source: stream,
+        filename: buildBookFilename(book, format),
+        caption: buildBookCaption(book)
+      });
+
+      await bookRepository.findByIdAndUpdate(book._id, {
+        $set: {
+          telegram: {
+            fileId: uploaded.telegram.fileId,
+            fileUniqueId: uploaded.telegram.fileUniqueId,
+            mimeType: uploaded.mimeType,
+            fileSize: uploaded.fileSize,
+            isAvailable: true
+          }
+        },
+        $push: {
+          files: { ...uploaded, format, fileSize: uploaded.fileSize || size, isAvailable: true }
+        }
+      });
+    } finally {
+      stream.destroy();
+    }
+  }
+};
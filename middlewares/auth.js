@@ -20,6 +20,20 @@ export const verifyToken = (req, res, next) => {
   }
 };
 
+// Middleware para rutas públicas que cambian si hay sesión: si viene un token válido
+// adjunta el usuario al request, si no (o es inválido) sigue como anónimo
+export const optionalToken = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      req.user = jwt.verify(authHeader.substring(7), secretKey);
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+  next();
+};
+
 // Middleware para verificar si el usuario es admin
 export const isAdmin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
@@ -37,6 +37,9 @@ ratingSchema.index({ book: 1, user: 1 }, { unique: true });
 // Por ejemplo, "dame todos los libros que ha calificado el usuario Y".
 ratingSchema.index({ user: 1 });
 
+// Ventana de las tendencias (calificaciones desde una fecha, agrupadas por libro)
+ratingSchema.index({ createdAt: 1, book: 1 });
+
 const Rating = mongoose.model('Rating', ratingSchema);
 
 export default Rating;
\ No newline at end of file
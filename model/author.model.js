@@ -0,0 +1,37 @@
+// models/author.model.js
+import mongoose from 'mongoose';
+import { buildNameKey } from '../utils/search.utils.js';
+
+const authorSchema = new mongoose.Schema({
+    // Nombre que se muestra en la web
+    nombre: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Clave normalizada del nombre (sin acentos, palabras ordenadas): "aldous huxley"
+    nameKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Otras formas de escribir el nombre (ej. "A. Huxley"), y sus claves para buscarlas
+    aliases: { type: [String], default: [] },
+    aliasKeys: { type: [String], default: [], index: true },
+    bio: { type: String, trim: true },
+    foto: { type: String }
+}, { timestamps: true });
+
+// Las claves se recalculan siempre desde el nombre y los alias
+authorSchema.pre('validate', function () {
+    this.nameKey = buildNameKey(this.nombre);
+    this.aliasKeys = [...new Set(this.aliases.map(buildNameKey).filter(Boolean))];
+});
+
+const Author = mongoose.model('Author', authorSchema);
+export default Author;
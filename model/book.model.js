@@ -1,11 +1,58 @@
 import mongoose from 'mongoose';
+import { searchTextPlugin } from '../utils/search.utils.js';
+
+// Una edición del libro en un formato concreto (PDF, EPUB, MOBI...) y dónde está guardada
+const bookFileSchema = new mongoose.Schema({
+    format: { type: String, required: true, uppercase: true, trim: true },
+    fileSize: { type: Number, default: 0 }, // Tamaño en bytes
+    mimeType: String,
+    checksum: { type: String, index: true }, // SHA-256 del archivo, para detectar duplicados
+    storage: { type: String, enum: ['drive', 'telegram', 'local'], required: true },
+    link: String, // storage 'drive'
+    telegram: { // storage 'telegram'
+        fileId: { type: String, index: true },
+        fileUniqueId: String,
+        messageId: Number // Mensaje del canal (para poder borrarlo)
+    },
+    path: String, // storage 'local': nombre del archivo dentro de BOOK_STORAGE_DIR
+    isAvailable: { type: Boolean, default: true },
+    // Último control de la tarea link-health: 'missing' apaga isAvailable, 'error' (no se
+    // pudo verificar) lo deja como estaba
+    health: {
+        status: { type: String, enum: ['ok', 'missing', 'error'] },
+        reason: String,
+        lastCheckedAt: Date
+    }
+}, {
+    timestamps: true
+});
 
 const bookSchema = new mongoose.Schema({
     titulo: { type: String, required: false, unique: true, trim: true },
+    // Slug para las URLs, generado a partir del título (sin acentos y único)
+    slug: { type: String, unique: true, sparse: true },
+    // Slugs anteriores (renombres): siguen resolviendo y redirigen al actual
+    slugHistory: { type: [String], default: [], index: true },
     portada: { type: String, required: false },
     portadaCloudinary: { type: String, required: false },
+    // Portada generada a partir del archivo (primera página del PDF o imagen de portada del EPUB)
+    cover: {
+        sizes: [{
+            _id: false,
+            name: String, // 'small', 'medium', 'large'
+            width: Number,
+            height: Number,
+            url: String
+        }],
+        blurhash: String, // Vista previa borrosa mientras carga la imagen
+        source: String, // Formato del archivo del que salió
+        store: String, // Dónde se guardaron las imágenes ('local', 'cloudinary')
+        generatedAt: Date
+    },
     sinopsis: { type: String, required: false, trim: true },
     autor: { type: String, required: false, trim: true },
+    // Autor normalizado (agrupa las distintas formas de escribir el mismo autor)
+    autorRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', index: true },
     categorias: { type: [String], default: [] },
     link: { type: String, required: false },
     ouo: { type: String, required: false },
@@ -34,12 +81,39 @@ const bookSchema = new mongoose.Schema({
     },
     // ---------------------------------------
 
+    // Ediciones del libro (un mismo título en PDF, EPUB, ...). `link`, `fileType` y
+    // `telegram` se mantienen como el archivo principal por compatibilidad.
+    files: { type: [bookFileSchema], default: [] },
+
+    // Saga a la que pertenece y número de volumen dentro de ella
+    series: { type: mongoose.Schema.Types.ObjectId, ref: 'Series' },
+    seriesIndex: { type: Number, min: 0 },
+
+    // Popularidad reciente por ventana de tiempo (la calcula el job de tendencias):
+    // score = señales (descargas, vistas, favoritos, calificaciones) con decaimiento; downloads = descargas en la ventana
+    popularity: {
+        '24h': { score: { type: Number, default: 0 }, downloads: { type: Number, default: 0 } },
+        '7d': { score: { type: Number, default: 0 }, downloads: { type: Number, default: 0 } },
+        '30d': { score: { type: Number, default: 0 }, downloads: { type: Number, default: 0 } },
+        updatedAt: Date
+    },
+
     creator: { type: mongoose.Schema.Types.ObjectId, ref: 'UserDundderMifflin' },
     averageRating: { type: Number, default: 0 },
     totalRatingsCount: { type: Number, default: 0 },
     isPremium: { type: Boolean, default: false },
     isExclusive: { type: Boolean, default: false },
 
+    // Resumen del último control de los archivos: 'ok', 'partial' (alguna copia falla) o
+    // 'broken' (ninguna copia disponible)
+    linkHealth: {
+        status: { type: String, enum: ['ok', 'partial', 'broken'], index: true },
+        lastCheckedAt: Date
+    },
+    // Oculto de las búsquedas por un admin ('broken' se vuelve a mostrar solo si aparece una copia)
+    hidden: { type: Boolean, default: false, index: true },
+    hiddenReason: { type: String, enum: ['broken', 'manual'] },
+
     // Nueva sección para Telegram
     telegram: {
         fileId: { type: String, index: true }, 
@@ -62,6 +136,17 @@ bookSchema.index({ categorias: 1 });
 bookSchema.index({ anio: -1 }); // Indexamos por año descendente (lo más nuevo primero)
 bookSchema.index({ idioma: 1 });
 bookSchema.index({ fileType: 1 });
+bookSchema.index({ 'files.format': 1 });
+bookSchema.index({ 'files.link': 1 }); // Archivos ya cargados (importaciones)
+bookSchema.index({ series: 1, seriesIndex: 1 }); // Volúmenes de una saga en orden
+// Rankings de tendencias y más descargados por ventana
+for (const window of ['24h', '7d', '30d']) {
+    bookSchema.index({ [`popularity.${window}.score`]: -1 });
+    bookSchema.index({ [`popularity.${window}.downloads`]: -1 });
+}
+
+// Copias normalizadas (sin acentos, minúsculas) para el buscador: searchText.titulo, etc.
+bookSchema.plugin(searchTextPlugin, { fields: ['titulo', 'autor', 'categorias'] });
 
 const Book = mongoose.model('BookDundderMifflin', bookSchema);
 export default Book;
\ No newline at end of file
@@ -0,0 +1,28 @@
+// models/bookEvent.model.js
+import mongoose from 'mongoose';
+
+// Señales de popularidad que no quedan registradas en otra colección (las descargas
+// y calificaciones ya tienen la suya). Solo se usan para las tendencias.
+const bookEventSchema = new mongoose.Schema({
+    book: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookDundderMifflin',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['view', 'favorite'],
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserDundderMifflin'
+    }
+}, { timestamps: true });
+
+// La ventana más larga de tendencias es de 30 días: los eventos se borran solos después.
+// El mismo índice sirve al filtro por fecha de las agregaciones de tendencias
+bookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 31 * 24 * 60 * 60 });
+
+const BookEvent = mongoose.model('BookEvent', bookEventSchema);
+export default BookEvent;
@@ -0,0 +1,43 @@
+// models/category.model.js
+import mongoose from 'mongoose';
+import { buildCategoryKey } from '../utils/search.utils.js';
+
+const categorySchema = new mongoose.Schema({
+    // Nombre canónico: es el texto que se guarda en Book.categorias
+    nombre: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Clave normalizada del nombre: "ciencia ficcion"
+    nameKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Variantes que se mapean a esta categoría (nombres anteriores, categorías fusionadas)
+    aliases: { type: [String], default: [] },
+    aliasKeys: { type: [String], default: [], index: true },
+    // Categoría padre (null para las de primer nivel)
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+        index: true
+    }
+}, { timestamps: true });
+
+// Las claves se recalculan siempre desde el nombre y los alias
+categorySchema.pre('validate', function () {
+    this.nameKey = buildCategoryKey(this.nombre);
+    this.aliasKeys = [...new Set(this.aliases.map(buildCategoryKey).filter(Boolean))]
+        .filter(key => key !== this.nameKey);
+});
+
+const Category = mongoose.model('Category', categorySchema);
+export default Category;
@@ -0,0 +1,37 @@
+// models/download.model.js
+import mongoose from 'mongoose';
+
+// Registro de cada descarga: se usa para el historial del usuario y para las cuotas por plan
+const downloadSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserDundderMifflin',
+        required: true
+    },
+    book: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookDundderMifflin',
+        required: true
+    },
+    // Por dónde se entregó el archivo ('direct': por stream desde la API)
+    channel: {
+        type: String,
+        enum: ['drive', 'telegram', 'direct'],
+        required: true
+    },
+    format: { type: String, uppercase: true }, // Formato de la edición descargada
+    plan: String, // Plan vigente del usuario al descargar
+    // Descargas por stream: token que se entrega como ETag para retomar la descarga con
+    // If-Range sin que cuente de nuevo, y cuántas veces se retomó
+    resumeToken: String,
+    resumeCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+// Historial del usuario y conteo de la cuota (descargas desde el inicio del período)
+downloadSchema.index({ user: 1, createdAt: -1 });
+downloadSchema.index({ resumeToken: 1 }, { sparse: true });
+// Ventana de las tendencias (todas las descargas desde una fecha, agrupadas por libro)
+downloadSchema.index({ createdAt: 1, book: 1 });
+
+const Download = mongoose.model('Download', downloadSchema);
+export default Download;
@@ -0,0 +1,55 @@
+// models/importJob.model.js
+import mongoose from 'mongoose';
+
+// Resultado de cada fila del archivo importado
+const importRowSchema = new mongoose.Schema({
+    index: { type: Number, required: true }, // Número de fila en el archivo (desde 1)
+    titulo: String,
+    data: mongoose.Schema.Types.Mixed, // Campos del libro ya normalizados
+    status: {
+        type: String,
+        enum: ['pending', 'created', 'skipped', 'error'],
+        default: 'pending'
+    },
+    message: String, // Motivo del error o de la omisión
+    book: { type: mongoose.Schema.Types.ObjectId, ref: 'BookDundderMifflin' }, // Libro creado
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'BookDundderMifflin' } // Libro que ya existía
+}, { _id: false });
+
+// Importación masiva de libros: se procesa en segundo plano y se consulta por su ID
+const importJobSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserDundderMifflin',
+        required: true
+    },
+    format: {
+        type: String,
+        enum: ['text', 'csv', 'json'],
+        required: true
+    },
+    filename: String,
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'completed', 'failed'],
+        default: 'pending'
+    },
+    totals: {
+        rows: { type: Number, default: 0 },
+        pending: { type: Number, default: 0 },
+        created: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        error: { type: Number, default: 0 }
+    },
+    rows: { type: [importRowSchema], default: [] },
+    error: String, // Si la importación entera falló
+    startedAt: Date,
+    finishedAt: Date
+}, { timestamps: true });
+
+// Listado de importaciones y retomar las que quedaron sin terminar al reiniciar
+importJobSchema.index({ createdAt: -1 });
+importJobSchema.index({ status: 1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+export default ImportJob;
@@ -0,0 +1,40 @@
+// models/job.model.js
+import mongoose from 'mongoose';
+
+// Tarea de mantenimiento en segundo plano (acortar links, sincronizar con Telegram, ...).
+// Recorre los libros en orden de _id y guarda hasta dónde llegó para poder retomarse.
+const jobSchema = new mongoose.Schema({
+    type: { type: String, required: true }, // Tipo registrado en jobs/index.js
+    params: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'paused', 'completed', 'failed'],
+        default: 'queued'
+    },
+    progress: {
+        total: Number, // Ítems pendientes al empezar (si el tipo sabe contarlos)
+        processed: { type: Number, default: 0 },
+        succeeded: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+    cursor: String, // _id del último ítem procesado
+    // Ejecuciones que fallaron enteras (no por un ítem): se reintentan con espera creciente
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3, min: 1 },
+    nextRunAt: { type: Date, default: Date.now },
+    lastError: String,
+    // Servidor que la está ejecutando; lockedAt se renueva en cada lote (si se vence, otro la retoma)
+    lockedBy: String,
+    lockedAt: Date,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'UserDundderMifflin' },
+    startedAt: Date, // Inicio de la última ejecución
+    finishedAt: Date
+}, { timestamps: true });
+
+// La próxima tarea a ejecutar y el listado para admins
+jobSchema.index({ status: 1, nextRunAt: 1, createdAt: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+
+const Job = mongoose.model('Job', jobSchema);
+export default Job;
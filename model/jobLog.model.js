@@ -0,0 +1,22 @@
+// models/jobLog.model.js
+import mongoose from 'mongoose';
+
+// Error de una tarea en segundo plano: de un ítem (tras agotar sus reintentos) o de la ejecución entera
+const jobLogSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true
+    },
+    item: String, // _id del ítem (vacío si falló la ejecución entera)
+    label: String, // Para reconocer el ítem (ej. el título del libro)
+    message: { type: String, required: true },
+    attempt: Number
+}, { timestamps: true });
+
+jobLogSchema.index({ job: 1, createdAt: -1 });
+// Los errores se guardan 30 días
+jobLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const JobLog = mongoose.model('JobLog', jobLogSchema);
+export default JobLog;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { searchTextPlugin } from '../utils/search.utils.js';
 
 const movieSchema = new mongoose.Schema({
     id_tmdb: { type: Number, required: true, unique: true, index: true },
@@ -50,6 +51,9 @@ movieSchema.index({ genres: 1, release_year: -1 });
 // Orden cronológico
 movieSchema.index({ release_year: -1 });
 
+// Título normalizado (sin acentos, minúsculas) para el buscador: searchText.title
+movieSchema.plugin(searchTextPlugin, { fields: ['title'] });
+
 const Movie = mongoose.model('Movie', movieSchema);
 
 export default Movie;
\ No newline at end of file
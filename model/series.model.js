@@ -0,0 +1,25 @@
+// models/series.model.js
+import mongoose from 'mongoose';
+
+const seriesSchema = new mongoose.Schema({
+    nombre: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    descripcion: { type: String, trim: true },
+    // Autor principal de la saga (opcional)
+    autorRef: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Author'
+    }
+}, { timestamps: true });
+
+const Series = mongoose.model('Series', seriesSchema);
+export default Series;
@@ -0,0 +1,27 @@
+// models/similarBooks.model.js
+import mongoose from 'mongoose';
+
+// Caché de "libros similares" de cada libro. Se borra al cambiar las categorías
+// involucradas y vence sola para reflejar las calificaciones nuevas.
+const similarBooksSchema = new mongoose.Schema({
+    book: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookDundderMifflin',
+        required: true,
+        unique: true
+    },
+    // Categorías del libro al calcular (para invalidar cuando cambian)
+    categorias: { type: [String], default: [], index: true },
+    results: [{
+        _id: false,
+        book: { type: mongoose.Schema.Types.ObjectId, ref: 'BookDundderMifflin' },
+        score: Number
+    }],
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+similarBooksSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+similarBooksSchema.index({ 'results.book': 1 });
+
+const SimilarBooks = mongoose.model('SimilarBooks', similarBooksSchema);
+export default SimilarBooks;
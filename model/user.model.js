@@ -43,6 +43,8 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Idioma en el que prefiere leer (para las recomendaciones de usuarios sin historial)
+    idiomaPreferido: { type: String, lowercase: true, trim: true },
     // NUEVO: Lista de favoritos
     favoritos: [{
         type: mongoose.Schema.Types.ObjectId,
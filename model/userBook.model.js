@@ -0,0 +1,35 @@
+// models/userBook.model.js
+import mongoose from 'mongoose';
+
+// Un libro en la biblioteca personal de un usuario, con su estado de lectura
+const userBookSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserDundderMifflin',
+        required: true
+    },
+    book: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookDundderMifflin',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['quiero_leer', 'leyendo', 'leido'],
+        default: 'quiero_leer'
+    },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    // Avance libre en porcentaje; si el libro tiene `paginas` se calcula desde la última página
+    progress: { type: Number, min: 0, max: 100, default: 0 },
+    currentPage: { type: Number, min: 0 }
+}, { timestamps: true });
+
+// Un libro aparece una sola vez en la biblioteca de cada usuario
+userBookSchema.index({ user: 1, book: 1 }, { unique: true });
+// Estantes por estado (lo último actualizado primero) y estadísticas por año
+userBookSchema.index({ user: 1, status: 1, updatedAt: -1 });
+userBookSchema.index({ user: 1, finishedAt: 1 });
+
+const UserBook = mongoose.model('UserBook', userBookSchema);
+export default UserBook;
@@ -0,0 +1,118 @@
+// repositories/author.repository.js
+import Author from "../model/author.model.js";
+import { buildNameKey, escapeRegex } from "../utils/search.utils.js";
+
+/**
+ * Lista los autores por nombre, con paginación y filtro opcional por nombre o alias.
+ * @param {string} q - Texto a buscar (opcional).
+ * @param {number} page - El número de página.
+ * @param {number} limit - La cantidad de autores por página.
+ * @returns {Promise<object>} Un objeto con los autores y el conteo total.
+ */
+export const findAll = async (q, page, limit) => {
+    const skip = (page - 1) * limit;
+    const filters = {};
+
+    const key = buildNameKey(q);
+    if (key) {
+        const regex = new RegExp(escapeRegex(key));
+        filters.$or = [{ nameKey: regex }, { aliasKeys: regex }];
+    }
+
+    const [authors, totalCount] = await Promise.all([
+        Author.find(filters)
+            .sort({ nombre: 1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Author.countDocuments(filters)
+    ]);
+
+    return { authors, totalCount };
+};
+
+/**
+ * Busca un autor por su slug.
+ * @param {string} slug - El slug del autor.
+ * @returns {Promise<object>} El autor o null.
+ */
+export const findBySlug = async (slug) => {
+    return await Author.findOne({ slug }).lean();
+};
+
+/**
+ * Busca un autor por su ID (documento de Mongoose, para editarlo).
+ * @param {string} id - El ID del autor.
+ * @returns {Promise<object>} El documento del autor o null.
+ */
+export const findDocumentById = async (id) => {
+    return await Author.findById(id);
+};
+
+/**
+ * Busca el autor cuyo nombre o alias coincide con el nombre dado.
+ * @param {string} nombre - El nombre tal como viene en el libro.
+ * @returns {Promise<object>} El autor o null.
+ */
+export const findByName = async (nombre) => {
+    const key = buildNameKey(nombre);
+    if (!key) return null;
+    return await Author.findOne({ $or: [{ nameKey: key }, { aliasKeys: key }] }).lean();
+};
+
+/**
+ * IDs de los autores cuyo nombre o alias contiene el texto (para el filtro de autor).
+ * @param {string} nombre - El texto del filtro.
+ * @returns {Promise<object[]>} Los IDs encontrados.
+ */
+export const findIdsMatchingName = async (nombre) => {
+    const key = buildNameKey(nombre);
+    if (!key) return [];
+
+    // Cada palabra del filtro debe aparecer en el nombre o en algún alias
+    const words = key.split(' ').map(word => new RegExp(escapeRegex(word)));
+    const authors = await Author.find({
+        $or: [
+            { $and: words.map(regex => ({ nameKey: regex })) },
+            { $and: words.map(regex => ({ aliasKeys: regex })) }
+        ]
+    }, { _id: 1 }).lean();
+
+    return authors.map(author => author._id);
+};
+
+/**
+ * Indica si un slug de autor ya está en uso.
+ * @param {string} slug - El slug a verificar.
+ * @returns {Promise<boolean>} true si está tomado.
+ */
+export const slugExists = async (slug) => {
+    return Boolean(await Author.exists({ slug }));
+};
+
+/**
+ * Crea un nuevo autor.
+ * @param {object} authorData - Los datos del autor.
+ * @returns {Promise<object>} El autor creado.
+ */
+export const create = async (authorData) => {
+    return await Author.create(authorData);
+};
+
+/**
+ * Guarda los cambios de un documento de autor.
+ * @param {object} author - El documento a guardar.
+ * @returns {Promise<object>} El autor guardado.
+ */
+export const save = async (author) => {
+    return await author.save();
+};
+
+/**
+ * Elimina un autor.
+ * @param {string} id - El ID del autor.
+ * @returns {Promise<object>} El autor eliminado.
+ */
+export const findByIdAndRemove = async (id) => {
+    return await Author.findByIdAndDelete(id);
+};
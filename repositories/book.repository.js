@@ -1,5 +1,14 @@
 // repositories/book.repository.js
 import Book from "../model/book.model.js";
+import { getSearchTerms, buildTermsMatch, buildRelevanceScore, containsRegex, escapeRegex, prefixRegex, normalizeText } from "../utils/search.utils.js";
+import { decodeCursor, buildCursorCondition, buildCursorPage } from "../utils/pagination.utils.js";
+
+// Los libros ocultos (por un admin o por tener todos los archivos caídos) no aparecen en el
+// catálogo: listados, búsquedas, sugerencias, tendencias ni recomendaciones
+const VISIBLE = { hidden: { $ne: true } };
+
+// Orden del listado general: mejor calificados primero y luego los más recientes
+const FIND_ALL_SORT = { averageRating: -1, _id: -1 };
 
 /**
  * Busca todos los libros con paginación.
@@ -11,16 +20,13 @@ export const findAll = async (page, limit) => {
     const skip = (page - 1) * limit;
 
     const [books, totalCount] = await Promise.all([
-        Book.find({})
-            .sort({
-                averageRating: -1, // Ordena por calificación promedio (mejor a peor)
-                _id: -1            // Luego, por fecha de creación (más reciente a más antiguo)
-            })
+        Book.find(VISIBLE)
+            .sort(FIND_ALL_SORT)
             .skip(skip)
             .limit(limit)
             .lean()
             .exec(),
-        Book.countDocuments({})
+        Book.countDocuments(VISIBLE)
     ]);
 
     const totalPages = Math.ceil(totalCount / limit);
@@ -32,6 +38,29 @@ export const findAll = async (page, limit) => {
     };
 };
 
+/**
+ * Busca todos los libros con paginación por cursor (sin skip).
+ * @param {string} cursor - El cursor de la página anterior ('' para la primera).
+ * @param {number} limit - La cantidad de libros por página.
+ * @param {boolean} withCount - Si se calcula el total (es opcional porque es costoso).
+ * @returns {Promise<object>} Un objeto con los libros, el siguiente cursor y, si se pidió, el total.
+ */
+export const findAllByCursor = async (cursor, limit, withCount = false) => {
+    const after = buildCursorCondition(FIND_ALL_SORT, decodeCursor(cursor, FIND_ALL_SORT));
+
+    const [docs, totalCount] = await Promise.all([
+        Book.find({ ...after, ...VISIBLE })
+            .sort(FIND_ALL_SORT)
+            .limit(limit + 1)
+            .lean()
+            .exec(),
+        withCount ? Book.countDocuments(VISIBLE) : undefined
+    ]);
+
+    const { items, nextCursor } = buildCursorPage(docs, limit, FIND_ALL_SORT);
+    return { books: items, nextCursor, totalCount };
+};
+
 /**
  * Busca un libro por su ID.
  * @param {string} id - El ID del libro.
@@ -86,7 +115,8 @@ export const search = async (query, page, limit) => {
                 $search: query,
                 $caseSensitive: false,
                 $diacriticSensitive: false
-            }
+            },
+            ...VISIBLE
         };
 
         const [books, totalCount] = await Promise.all([
@@ -142,27 +172,119 @@ const extractIdFromSlug = (slug) => {
     return potentialId;
 };
 
+const OBJECT_ID_REGEX = /^[a-f\d]{24}$/i;
 
+/**
+ * Indica si el texto es un ObjectId (24 caracteres hexadecimales).
+ * @param {string} value - El texto a evaluar.
+ * @returns {boolean} true si es un ObjectId.
+ */
+export const isObjectIdString = (value) => OBJECT_ID_REGEX.test(value || '');
 
+/**
+ * Busca un libro por su slug actual, por un slug anterior o por ID.
+ * Las URLs viejas con formato `titulo-<id>` y el ID solo siguen funcionando.
+ * @param {string} slugOrId - El slug, un slug anterior, `titulo-<id>` o el ID.
+ * @returns {Promise<object>} El documento del libro o null.
+ */
 export const findBySlugOrId = async (slugOrId) => {
-    // ⭐️ Nuevo paso: Extraer el ID único del slug completo.
-    // Asumimos que extractIdFromSlug devuelve el ID o null.
+    if (!slugOrId) return null;
+
+    // 1. Slug actual o anterior
+    const bySlug = await Book.findOne({ $or: [{ slug: slugOrId }, { slugHistory: slugOrId }] });
+    if (bySlug) return bySlug;
+
+    // 2. Formato viejo `titulo-<id>` (o el ID solo): el ID es el último segmento
     const bookId = extractIdFromSlug(slugOrId);
-    //console.log("ID extraído para búsqueda:", bookId);
-
-    // ⭐️ CORRECCIÓN: Validar que bookId exista (no sea null) Y que sea un ObjectId válido.
-    if (bookId) {
-       // console.log("Iniciando búsqueda en la base de datos por ID:", bookId);
-        // ✅ Ahora sí, esperamos la respuesta de la base de datos
-        const libro = await Book.findById(bookId);
-        return libro;
+    if (isObjectIdString(bookId)) {
+        return await Book.findById(bookId);
     }
 
-    // Si bookId era null, o no era válido, o la búsqueda anterior falló, retorna null.
-    //console.log("Búsqueda no iniciada: ID no válido o nulo.");
     return null;
 };
 
+/**
+ * Indica si un slug ya está en uso (como actual o anterior) por otro libro.
+ * @param {string} slug - El slug a verificar.
+ * @param {string} [excludeId] - El libro que se está editando, que no cuenta.
+ * @returns {Promise<boolean>} true si el slug está tomado.
+ */
+export const slugExists = async (slug, excludeId) => {
+    const filter = { $or: [{ slug }, { slugHistory: slug }] };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return Boolean(await Book.exists(filter));
+};
+
+/**
+ * Recorre los libros que todavía no tienen slug.
+ * @returns {AsyncIterable<object>} Cursor con `_id` y `titulo` de cada libro.
+ */
+export const findWithoutSlug = () => {
+    return Book.find({ slug: { $exists: false }, titulo: { $exists: true, $ne: '' } }, { titulo: 1 })
+        .lean()
+        .cursor();
+};
+
+/**
+ * Busca un libro por su título, sin distinguir acentos ni mayúsculas.
+ * @param {string} titulo - El título a buscar.
+ * @returns {Promise<object|null>} El libro o null.
+ */
+export const findByTitle = async (titulo) => {
+    const trimmed = (titulo || '').trim();
+    if (!trimmed) return null;
+    return await Book.findOne({
+        $or: [{ titulo: trimmed }, { 'searchText.titulo': normalizeText(trimmed) }]
+    }).lean();
+};
+
+/**
+ * Agrega una edición (archivo) a un libro.
+ * @param {string} bookId - El ID del libro.
+ * @param {object} fileData - Los datos de la edición.
+ * @param {object} [set] - Otros campos a guardar en la misma actualización (ej. la portada generada).
+ * @returns {Promise<object>} El libro actualizado.
+ */
+export const addFile = async (bookId, fileData, set = {}) => {
+    return await Book.findByIdAndUpdate(bookId, { $push: { files: fileData }, $set: set }, { new: true });
+};
+
+/**
+ * Busca el libro al que pertenece un archivo de Telegram (principal o edición).
+ * @param {string} fileId - El file_id de Telegram.
+ * @returns {Promise<object|null>} El libro o null.
+ */
+export const findByTelegramFileId = async (fileId) => {
+    return await Book.findOne({
+        $or: [{ 'telegram.fileId': fileId }, { 'files.telegram.fileId': fileId }]
+    }).lean();
+};
+
+/**
+ * Busca el libro que tiene una edición con este link (el principal también es una edición).
+ * @param {string} link - El link del archivo.
+ * @returns {Promise<object|null>} El libro o null.
+ */
+export const findByFileLink = async (link) => {
+    return await Book.findOne({ 'files.link': link }).select('titulo slug').lean();
+};
+
+/**
+ * Recorre los libros con archivo cargado (link o Telegram) pero sin ediciones.
+ * @returns {AsyncIterable<object>} Cursor con los campos del archivo principal.
+ */
+export const findWithoutFiles = () => {
+    return Book.find(
+        {
+            'files.0': { $exists: false },
+            $or: [{ link: { $exists: true, $ne: '' } }, { 'telegram.fileId': { $exists: true } }]
+        },
+        { link: 1, fileType: 1, fileSize: 1, telegram: 1 }
+    )
+        .lean()
+        .cursor();
+};
+
 // Tu función original findById se mantiene para usos internos si es necesario, pero la reemplazaremos en el Service
 // export const findById = async (id) => {
 //     return await Book.findById(id).lean();
@@ -182,30 +304,34 @@ export const findBookByIdDocument = async (bookId) => {
 
 
 //buscador mejorado 
-export const searchBooks = async (filters) => {
-    const { 
-        q, 
-        page = 1, 
-        limit = 12, 
-        idioma, 
-        anio, 
-        fileType,
-        autor,
-        isPremium,
-        categorias 
-    } = filters;
 
-    const skip = (page - 1) * limit;
-    let queryCondition = {};
+
+// Cantidad máxima de categorías que se devuelven en el facet
+const MAX_CATEGORY_FACETS = 30;
+
+// Peso de cada campo normalizado en la relevancia de la búsqueda global
+const SEARCH_WEIGHTS = {
+    'searchText.titulo': 3,
+    'searchText.autor': 2,
+    'searchText.categorias': 1
+};
+
+/**
+ * Arma las condiciones de cada filtro del buscador por separado, para poder
+ * combinarlas en la consulta y también calcular cada facet sin su propio filtro.
+ * @param {object} filters - Los filtros recibidos del controlador.
+ * @returns {object} `{ base, byFacet }`: la condición de la búsqueda global y las de cada filtro.
+ */
+const buildSearchConditions = (filters) => {
+    const { q, idioma, anio, anioDesde, anioHasta, fileType, autor, autorIds, isPremium, categorias, series, seriesId } = filters;
+    const base = {};
+    const byFacet = {};
 
     // 1. Búsqueda Global (Barra de búsqueda principal)
-    if (q) {
-        const regex = new RegExp(q, 'i');
-        queryCondition.$or = [
-            { titulo: { $regex: regex } },
-            { autor: { $regex: regex } },
-            { categorias: { $elemMatch: { $regex: regex } } }
-        ];
+    // Cada palabra debe aparecer en título, autor o categorías (sin acentos ni mayúsculas)
+    const terms = getSearchTerms(q);
+    if (terms.length > 0) {
+        Object.assign(base, buildTermsMatch(terms, Object.keys(SEARCH_WEIGHTS)));
     }
 
     // 2. Filtro Específico de Categorías (Array)
@@ -215,34 +341,147 @@ export const searchBooks = async (filters) => {
             : categorias.split(',').map(c => c.trim()).filter(c => c !== "");
 
         if (catList.length > 0) {
-            queryCondition.categorias = { 
-                $in: catList.map(cat => new RegExp(cat, 'i')) 
+            byFacet.categorias = { 
+                'searchText.categorias': { $in: catList.map(containsRegex) }
             };
         }
     }
 
-    // 3. Filtro Específico de Autor
+    // 3. Filtro Específico de Autor (no tiene facet, siempre se aplica)
+    // También encuentra los libros vinculados a un autor cuyo nombre o alias coincide
     if (autor) {
-        queryCondition.autor = { $regex: new RegExp(autor, 'i') };
+        if (autorIds && autorIds.length > 0) {
+            base.$or = [
+                { 'searchText.autor': containsRegex(autor) },
+                { autorRef: { $in: autorIds } }
+            ];
+        } else {
+            base['searchText.autor'] = containsRegex(autor);
+        }
     }
 
-    // 4. Filtro de Formato (fileType)
+    // Filtro de saga (no tiene facet). Si la saga no existe no hay resultados.
+    if (series) {
+        base.series = seriesId || { $in: [] };
+    }
+
+    // 4. Filtro de Formato (fileType): el formato principal o el de cualquier edición
     if (fileType) {
-        queryCondition.fileType = { $regex: new RegExp(`^${fileType}$`, 'i') };
+        const formatRegex = new RegExp(`^${escapeRegex(fileType)}$`, 'i');
+        byFacet.fileType = { $or: [{ fileType: formatRegex }, { 'files.format': formatRegex }] };
     }
 
     // 5. Filtro de Idioma e isPremium
-    if (idioma) queryCondition.idioma = idioma.toLowerCase();
+    if (idioma) byFacet.idioma = { idioma: idioma.toLowerCase() };
     
     if (isPremium !== undefined && isPremium !== "") {
-        queryCondition.isPremium = isPremium === 'true';
+        byFacet.isPremium = { isPremium: isPremium === 'true' };
+    }
+
+    // 6. Año exacto o rango (los buckets del facet usan el rango)
+    if (anio) {
+        byFacet.anio = { anio: parseInt(anio) };
+    } else if (anioDesde || anioHasta) {
+        const range = {};
+        if (anioDesde) range.$gte = parseInt(anioDesde);
+        if (anioHasta) range.$lte = parseInt(anioHasta);
+        byFacet.anio = { anio: range };
     }
 
-    if (anio) queryCondition.anio = parseInt(anio);
+    return { base, byFacet, terms };
+};
+
+/**
+ * Combina la condición base con los filtros de todos los facets excepto `omit`.
+ * @param {object} conditions - El resultado de buildSearchConditions.
+ * @param {string} [omit] - El facet cuyo filtro se deja afuera.
+ * @returns {object} La condición lista para usar en un find o $match.
+ */
+const mergeConditions = ({ base, byFacet }, omit) => {
+    // Se combinan con $and para que dos condiciones con $or no se pisen
+    const parts = [base, VISIBLE, ...Object.entries(byFacet)
+        .filter(([facet]) => facet !== omit)
+        .map(([, condition]) => condition)]
+        .filter(condition => Object.keys(condition).length > 0);
+
+    if (parts.length === 0) return {};
+    return parts.length === 1 ? parts[0] : { $and: parts };
+};
+
+/**
+ * Calcula los conteos de cada facet en una sola agregación. Cada facet se
+ * calcula sin su propio filtro, para mostrar cuántos libros daría cada opción.
+ * @param {object} conditions - El resultado de buildSearchConditions.
+ * @returns {Promise<object>} Los conteos por idioma, fileType, categorias, anio (por década) e isPremium.
+ */
+const computeFacets = async (conditions) => {
+    const groupBy = (field) => [
+        { $match: mergeConditions(conditions, field) },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+    ];
+
+    const [result] = await Book.aggregate([
+        { $match: { $and: [conditions.base, VISIBLE] } },
+        {
+            $facet: {
+                idioma: groupBy('idioma'),
+                // Un libro cuenta una vez por cada formato disponible (principal o de sus ediciones)
+                fileType: [
+                    { $match: mergeConditions(conditions, 'fileType') },
+                    { $project: { formats: { $setUnion: [['$fileType'], { $ifNull: ['$files.format', []] }] } } },
+                    { $unwind: '$formats' },
+                    { $group: { _id: '$formats', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ],
+                isPremium: groupBy('isPremium'),
+                categorias: [
+                    { $match: mergeConditions(conditions, 'categorias') },
+                    { $unwind: '$categorias' },
+                    { $group: { _id: '$categorias', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: MAX_CATEGORY_FACETS }
+                ],
+                anio: [
+                    { $match: { ...mergeConditions(conditions, 'anio'), anio: { $type: 'number' } } },
+                    { $group: { _id: { $subtract: ['$anio', { $mod: ['$anio', 10] }] }, count: { $sum: 1 } } },
+                    { $sort: { _id: -1 } }
+                ]
+            }
+        }
+    ]);
+
+    const toValues = (buckets) => buckets
+        .filter(b => b._id !== null && b._id !== undefined && b._id !== '')
+        .map(b => ({ value: b._id, count: b.count }));
+
+    return {
+        idioma: toValues(result.idioma),
+        fileType: toValues(result.fileType),
+        categorias: toValues(result.categorias),
+        isPremium: toValues(result.isPremium),
+        anio: result.anio.map(b => ({ desde: b._id, hasta: b._id + 9, count: b.count }))
+    };
+};
+
+export const searchBooks = async (filters) => {
+    const { 
+        page = 1, 
+        limit = 12, 
+        facets = true,
+        cursor,            // Si viene (aunque sea ''), se pagina por cursor en lugar de por página
+        withCount = false  // En modo cursor el total es opcional
+    } = filters;
+
+    const useCursor = cursor !== undefined;
+    const skip = (page - 1) * limit;
+    const conditions = buildSearchConditions(filters);
+    const queryCondition = mergeConditions(conditions);
+    const hasTerms = conditions.terms.length > 0;
 
     // Determinar ordenamiento
     let sortOrder;
-    const hasFilters = Object.keys(queryCondition).length > 0;
+    const hasFilters = Object.keys(conditions.base).length > 0 || Object.keys(conditions.byFacet).length > 0;
 
     if (hasFilters) {
         // Si hay filtros, ordenar por popularidad (ranking)
@@ -254,27 +493,794 @@ export const searchBooks = async (filters) => {
         // sortOrder = { _id: -1 };
     }
 
+    // Con texto de búsqueda ordenamos por relevancia (prefijo > palabra completa > parte de palabra).
+    // sort=trending ordena por la popularidad reciente de la ventana pedida (7d por defecto).
+    // _id al final desempata y hace estable la paginación.
+    if (filters.sort === 'trending') {
+        sortOrder = { [`popularity.${filters.window || '7d'}.score`]: -1, _id: -1 };
+    } else {
+        sortOrder = hasTerms
+            ? { _score: -1, ...sortOrder, _id: -1 }
+            : { ...sortOrder, _id: -1 };
+    }
+
+    // En modo cursor se continúa después del último libro y se pide uno extra para saber si hay más
+    const after = useCursor ? buildCursorCondition(sortOrder, decodeCursor(cursor, sortOrder)) : {};
+    const pageStages = useCursor
+        ? [{ $match: after }, { $limit: limit + 1 }]
+        : [{ $skip: skip }, { $limit: limit }];
+
+    const findBooks = hasTerms
+        ? Book.aggregate([
+            { $match: queryCondition },
+            { $addFields: { _score: buildRelevanceScore(conditions.terms, SEARCH_WEIGHTS) } },
+            { $sort: sortOrder },
+            ...pageStages,
+            { $project: { searchText: 0 } }
+        ])
+        : Book.find(useCursor ? { $and: [queryCondition, after] } : queryCondition)
+            .sort(sortOrder)
+            .skip(useCursor ? 0 : skip)
+            .limit(useCursor ? limit + 1 : limit)
+            .lean();
+
     try {
-        const [books, totalCount] = await Promise.all([
-            Book.find(queryCondition)
-               
-                .sort(sortOrder)
-                .skip(skip)
-                .limit(limit)
-                .lean(),
-            Book.countDocuments(queryCondition)
+        const [docs, totalCount, facetCounts] = await Promise.all([
+            findBooks,
+            !useCursor || withCount ? Book.countDocuments(queryCondition) : undefined,
+            facets ? computeFacets(conditions) : null
         ]);
 
-        return {
-            books,
-            metadata: {
+        let books = docs;
+        let metadata;
+        if (useCursor) {
+            const { items, nextCursor } = buildCursorPage(docs, limit, sortOrder);
+            books = items;
+            metadata = { limit: parseInt(limit), nextCursor };
+            if (withCount) metadata.totalCount = totalCount;
+        } else {
+            metadata = {
                 page: parseInt(page),
                 limit: parseInt(limit),
                 totalCount,
                 totalPages: Math.ceil(totalCount / limit)
-            }
-        };
+            };
+        }
+
+        // El puntaje de relevancia es interno
+        books.forEach(book => delete book._score);
+
+        const result = { books, metadata };
+        if (facetCounts) result.facets = facetCounts;
+
+        return result;
     } catch (error) {
+        if (error.message === 'Cursor inválido.') throw error;
         throw new Error("Error en la consulta de base de datos: " + error.message);
     }
-};
\ No newline at end of file
+};
+
+
+//autocompletado del buscador
+
+/**
+ * Títulos que empiezan con el texto (normalizado), los más calificados primero.
+ * @param {string} q - El texto ingresado.
+ * @param {number} limit - La cantidad máxima de títulos.
+ * @param {number} maxTimeMS - Tiempo máximo de la consulta.
+ * @returns {Promise<object[]>} Los libros con los campos mínimos para la sugerencia.
+ */
+export const suggestTitles = async (q, limit, maxTimeMS) => {
+    return await Book.find({ 'searchText.titulo': prefixRegex(q), ...VISIBLE })
+        .select('titulo slug autor portada portadaCloudinary')
+        .sort({ totalRatingsCount: -1, averageRating: -1 })
+        .limit(limit)
+        .maxTimeMS(maxTimeMS)
+        .lean();
+};
+
+/**
+ * Autores distintos que empiezan con el texto, pesados por la suma de calificaciones de sus libros.
+ * @param {string} q - El texto ingresado.
+ * @param {number} limit - La cantidad máxima de autores.
+ * @param {number} maxTimeMS - Tiempo máximo de la consulta.
+ * @returns {Promise<object[]>} `{ nombre, totalBooks }` por autor.
+ */
+export const suggestAuthors = async (q, limit, maxTimeMS) => {
+    return await Book.aggregate([
+        { $match: { 'searchText.autor': prefixRegex(q), ...VISIBLE } },
+        {
+            $group: {
+                _id: '$searchText.autor',
+                nombre: { $first: '$autor' },
+                totalBooks: { $sum: 1 },
+                weight: { $sum: '$totalRatingsCount' }
+            }
+        },
+        { $sort: { weight: -1, totalBooks: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, nombre: 1, totalBooks: 1 } }
+    ]).option({ maxTimeMS });
+};
+
+/**
+ * Categorías distintas que empiezan con el texto, pesadas por la suma de calificaciones de sus libros.
+ * @param {string} q - El texto ingresado.
+ * @param {number} limit - La cantidad máxima de categorías.
+ * @param {number} maxTimeMS - Tiempo máximo de la consulta.
+ * @returns {Promise<object[]>} `{ nombre, totalBooks }` por categoría.
+ */
+export const suggestCategories = async (q, limit, maxTimeMS) => {
+    const regex = prefixRegex(q);
+
+    return await Book.aggregate([
+        { $match: { 'searchText.categorias': regex, ...VISIBLE } },
+        // Recorremos la versión normalizada y tomamos el nombre original en la misma posición
+        { $unwind: { path: '$searchText.categorias', includeArrayIndex: 'posicion' } },
+        { $match: { 'searchText.categorias': regex } },
+        {
+            $group: {
+                _id: '$searchText.categorias',
+                nombre: { $first: { $arrayElemAt: ['$categorias', '$posicion'] } },
+                totalBooks: { $sum: 1 },
+                weight: { $sum: '$totalRatingsCount' }
+            }
+        },
+        { $sort: { weight: -1, totalBooks: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, nombre: 1, totalBooks: 1 } }
+    ]).option({ maxTimeMS });
+};
+
+
+//autores
+
+/**
+ * Lista los libros de un autor, del más nuevo al más viejo.
+ * @param {string} authorId - El ID del autor.
+ * @param {number} page - El número de página.
+ * @param {number} limit - La cantidad de libros por página.
+ * @returns {Promise<object>} Un objeto con los libros y el conteo total.
+ */
+export const findByAuthor = async (authorId, page, limit) => {
+    const skip = (page - 1) * limit;
+    const filters = { autorRef: authorId, ...VISIBLE };
+
+    const [books, totalCount] = await Promise.all([
+        Book.find(filters)
+            .sort({ anio: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Book.countDocuments(filters)
+    ]);
+
+    return { books, totalCount };
+};
+
+/**
+ * Estadísticas de los libros de cada autor.
+ * @param {object[]} authorIds - Los IDs de los autores.
+ * @returns {Promise<Map>} Mapa de ID de autor -> { totalBooks, averageRating, totalRatingsCount }.
+ */
+export const getAuthorStats = async (authorIds) => {
+    const stats = await Book.aggregate([
+        { $match: { autorRef: { $in: authorIds }, ...VISIBLE } },
+        {
+            $group: {
+                _id: '$autorRef',
+                totalBooks: { $sum: 1 },
+                totalRatingsCount: { $sum: '$totalRatingsCount' },
+                // Promedio ponderado por la cantidad de calificaciones de cada libro
+                ratingPoints: { $sum: { $multiply: ['$averageRating', '$totalRatingsCount'] } }
+            }
+        }
+    ]);
+
+    return new Map(stats.map(stat => [stat._id.toString(), {
+        totalBooks: stat.totalBooks,
+        totalRatingsCount: stat.totalRatingsCount,
+        averageRating: stat.totalRatingsCount > 0 ? stat.ratingPoints / stat.totalRatingsCount : 0
+    }]));
+};
+
+/**
+ * Vincula un libro con su autor.
+ * @param {string} bookId - El ID del libro.
+ * @param {string} authorId - El ID del autor.
+ * @returns {Promise<object>} El resultado de la actualización.
+ */
+export const setAuthorRef = async (bookId, authorId) => {
+    return await Book.updateOne({ _id: bookId }, { $set: { autorRef: authorId } });
+};
+
+/**
+ * Pasa todos los libros de un autor a otro (al fusionar autores).
+ * @param {string} fromAuthorId - El autor que desaparece.
+ * @param {string} toAuthorId - El autor que queda.
+ * @returns {Promise<number>} La cantidad de libros modificados.
+ */
+export const relinkAuthor = async (fromAuthorId, toAuthorId) => {
+    const result = await Book.updateMany({ autorRef: fromAuthorId }, { $set: { autorRef: toAuthorId } });
+    return result.modifiedCount;
+};
+
+/**
+ * Recorre los libros con autor escrito pero todavía sin vincular a un Author.
+ * @returns {AsyncIterable<object>} Cursor con `_id` y `autor` de cada libro.
+ */
+export const findWithoutAuthorRef = () => {
+    return Book.find({ autorRef: { $exists: false }, autor: { $exists: true, $ne: '' } }, { autor: 1 })
+        .lean()
+        .cursor();
+};
+
+
+//categorías
+
+/**
+ * Cantidad de libros por cada texto de categoría.
+ * @returns {Promise<object[]>} `{ _id: nombre, count }` por categoría.
+ */
+export const countByCategory = async () => {
+    return await Book.aggregate([
+        { $match: VISIBLE },
+        { $unwind: '$categorias' },
+        { $group: { _id: '$categorias', count: { $sum: 1 } } }
+    ]);
+};
+
+/**
+ * Todos los textos de categoría distintos que usan los libros.
+ * @returns {Promise<string[]>} Los nombres de categoría.
+ */
+export const findDistinctCategories = async () => {
+    return await Book.distinct('categorias');
+};
+
+/**
+ * Reemplaza en todos los libros las categorías `oldNames` por `newName`, sin
+ * repetirla si el libro ya la tenía. Mantiene sincronizado searchText.categorias.
+ * @param {string[]} oldNames - Los nombres a reemplazar.
+ * @param {string} newName - El nombre canónico.
+ * @param {number} [batchSize] - Cantidad de libros por escritura.
+ * @returns {Promise<number>} La cantidad de libros modificados.
+ */
+export const replaceCategories = async (oldNames, newName, batchSize = 500) => {
+    const replaced = new Set(oldNames.filter(name => name !== newName));
+    if (replaced.size === 0) return 0;
+
+    const cursor = Book.find({ categorias: { $in: [...replaced] } }, { categorias: 1 }).lean().cursor();
+
+    let ops = [];
+    let modified = 0;
+    for await (const book of cursor) {
+        const categorias = [...new Set(book.categorias.map(cat => replaced.has(cat) ? newName : cat))];
+        // bulkWrite no pasa por los hooks del plugin: actualizamos también la copia normalizada
+        ops.push({
+            updateOne: {
+                filter: { _id: book._id },
+                update: { $set: { categorias, 'searchText.categorias': categorias.map(normalizeText) } }
+            }
+        });
+
+        if (ops.length >= batchSize) {
+            await Book.bulkWrite(ops, { ordered: false });
+            modified += ops.length;
+            ops = [];
+        }
+    }
+    if (ops.length > 0) {
+        await Book.bulkWrite(ops, { ordered: false });
+        modified += ops.length;
+    }
+    return modified;
+};
+
+
+//sagas
+
+// Campos de cada volumen en el listado de una saga y en anterior/siguiente
+const SERIES_VOLUME_FIELDS = 'titulo slug autor portada portadaCloudinary anio seriesIndex averageRating totalRatingsCount';
+
+/**
+ * Lista los volúmenes de una saga en orden.
+ * @param {string} seriesId - El ID de la saga.
+ * @returns {Promise<object[]>} Los libros ordenados por seriesIndex.
+ */
+export const findSeriesVolumes = async (seriesId) => {
+    return await Book.find({ series: seriesId, ...VISIBLE })
+        .select(SERIES_VOLUME_FIELDS)
+        .sort({ seriesIndex: 1, anio: 1, _id: 1 })
+        .lean();
+};
+
+/**
+ * Volúmenes anterior y siguiente de una saga respecto de un número de volumen.
+ * @param {string} seriesId - El ID de la saga.
+ * @param {number} seriesIndex - El número de volumen actual.
+ * @returns {Promise<object>} `{ previous, next }` (null si no hay).
+ */
+export const findSeriesNeighbors = async (seriesId, seriesIndex) => {
+    const [previous, next] = await Promise.all([
+        Book.findOne({ series: seriesId, seriesIndex: { $lt: seriesIndex }, ...VISIBLE })
+            .select(SERIES_VOLUME_FIELDS)
+            .sort({ seriesIndex: -1 })
+            .lean(),
+        Book.findOne({ series: seriesId, seriesIndex: { $gt: seriesIndex }, ...VISIBLE })
+            .select(SERIES_VOLUME_FIELDS)
+            .sort({ seriesIndex: 1 })
+            .lean()
+    ]);
+    return { previous, next };
+};
+
+
+//tendencias
+
+/**
+ * Guarda la popularidad de una ventana. Los libros sin actividad en la ventana
+ * (incluidos los que todavía no tenían el campo) quedan en 0.
+ * @param {string} window - '24h', '7d' o '30d'.
+ * @param {Map<string, object>} scores - Por ID de libro: `{ score, downloads }`.
+ * @param {Date} updatedAt - El momento del cálculo.
+ * @param {number} batchSize - La cantidad de libros por bulkWrite.
+ * @returns {Promise<number>} La cantidad de libros con actividad.
+ */
+export const setPopularity = async (window, scores, updatedAt, batchSize = 500) => {
+    const path = `popularity.${window}`;
+    const ids = [...scores.keys()];
+
+    await Book.updateMany(
+        {
+            _id: { $nin: ids },
+            $or: [{ [`${path}.score`]: { $ne: 0 } }, { [`${path}.downloads`]: { $ne: 0 } }]
+        },
+        { $set: { [`${path}.score`]: 0, [`${path}.downloads`]: 0, 'popularity.updatedAt': updatedAt } }
+    );
+
+    let ops = [];
+    for (const [bookId, { score, downloads }] of scores) {
+        ops.push({
+            updateOne: {
+                filter: { _id: bookId },
+                update: { $set: { [`${path}.score`]: score, [`${path}.downloads`]: downloads, 'popularity.updatedAt': updatedAt } }
+            }
+        });
+        if (ops.length >= batchSize) {
+            await Book.bulkWrite(ops, { ordered: false });
+            ops = [];
+        }
+    }
+    if (ops.length > 0) {
+        await Book.bulkWrite(ops, { ordered: false });
+    }
+    return ids.length;
+};
+
+/**
+ * Ranking de libros de una ventana: tendencias (`score`) o más descargados (`downloads`).
+ * @param {string} window - '24h', '7d' o '30d'.
+ * @param {string} by - 'score' o 'downloads'.
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de libros por página.
+ * @returns {Promise<object>} Un objeto con los libros y el conteo total.
+ */
+export const findTrending = async (window, by, page, limit) => {
+    const skip = (page - 1) * limit;
+    const field = `popularity.${window}.${by}`;
+    const filters = { [field]: { $gt: 0 }, ...VISIBLE };
+
+    const [books, totalCount] = await Promise.all([
+        Book.find(filters)
+            .sort({ [field]: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Book.countDocuments(filters)
+    ]);
+
+    return { books, totalCount };
+};
+
+
+//libros similares
+
+// Datos de cada libro en listados de recomendaciones
+const BOOK_CARD_FIELDS = 'titulo slug autor portada portadaCloudinary categorias idioma anio fileType averageRating totalRatingsCount isPremium isExclusive';
+
+/**
+ * Puntúa los libros parecidos a uno por sus datos: categorías compartidas, mismo
+ * autor y mismo idioma. Solo se consideran los que comparten categoría o autor,
+ * más los `extraIds` (ej. los calificados por los mismos usuarios), que siempre se devuelven.
+ * @param {object} book - El libro de referencia (`_id`, `categorias`, `autorRef`, `idioma`).
+ * @param {object} weights - `{ category, author, idioma }`.
+ * @param {object[]} extraIds - Otros candidatos a puntuar.
+ * @param {number} limit - La cantidad máxima de candidatos además de los `extraIds`.
+ * @returns {Promise<object[]>} `{ _id, score }` de mayor a menor puntaje.
+ */
+export const findSimilarCandidates = async (book, weights, extraIds, limit) => {
+    const categorias = [...(book.categorias || [])];
+    const candidates = [];
+    if (categorias.length > 0) candidates.push({ categorias: { $in: categorias } });
+    if (book.autorRef) candidates.push({ autorRef: book.autorRef });
+    if (extraIds.length > 0) candidates.push({ _id: { $in: extraIds } });
+    if (candidates.length === 0) return [];
+
+    const sameAuthor = book.autorRef ? { $eq: ['$autorRef', book.autorRef] } : false;
+
+    return await Book.aggregate([
+        { $match: { _id: { $ne: book._id }, $or: candidates, ...VISIBLE } },
+        {
+            $project: {
+                averageRating: 1,
+                isExtra: { $in: ['$_id', extraIds] },
+                score: {
+                    $add: [
+                        { $multiply: [{ $size: { $setIntersection: [{ $ifNull: ['$categorias', []] }, categorias] } }, weights.category] },
+                        { $cond: [sameAuthor, weights.author, 0] },
+                        { $cond: [{ $eq: ['$idioma', book.idioma] }, weights.idioma, 0] }
+                    ]
+                }
+            }
+        },
+        { $sort: { isExtra: -1, score: -1, averageRating: -1, _id: -1 } },
+        { $limit: limit + extraIds.length },
+        { $project: { score: 1 } }
+    ]);
+};
+
+/**
+ * Busca libros por ID para mostrarlos como tarjetas, en el orden de los IDs recibidos.
+ * @param {object[]} ids - Los IDs de los libros.
+ * @returns {Promise<object[]>} Los libros encontrados.
+ */
+export const findCardsByIds = async (ids) => {
+    // Los similares quedan en caché: un libro ocultado después se descarta acá
+    const books = await Book.find({ _id: { $in: ids }, ...VISIBLE }).select(BOOK_CARD_FIELDS).lean();
+    const byId = new Map(books.map(book => [book._id.toString(), book]));
+    return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+
+//recomendaciones
+
+/**
+ * Datos de los libros que usa el perfil de gustos de un usuario.
+ * @param {object[]} ids - Los IDs de los libros.
+ * @returns {Promise<object[]>} `{ _id, categorias, autorRef, idioma, series }` por libro.
+ */
+export const findProfileData = async (ids) => {
+    return await Book.find({ _id: { $in: ids } }).select('categorias autorRef idioma series').lean();
+};
+
+/**
+ * Libros que coinciden con las categorías y autores favoritos de un usuario.
+ * El puntaje suma el peso de cada categoría y autor que coincide, más un poco por calificación.
+ * @param {object} profile - `{ categorias: [{ nombre, weight }], autores: [{ id, weight }] }`.
+ * @param {object[]} excludeIds - Libros que el usuario ya conoce.
+ * @param {number} limit - La cantidad máxima de libros.
+ * @returns {Promise<object[]>} `{ _id, score }` de mayor a menor puntaje.
+ */
+export const findByProfile = async ({ categorias, autores }, excludeIds, limit) => {
+    const candidates = [];
+    if (categorias.length > 0) candidates.push({ categorias: { $in: categorias.map(({ nombre }) => nombre) } });
+    if (autores.length > 0) candidates.push({ autorRef: { $in: autores.map(({ id }) => id) } });
+    if (candidates.length === 0) return [];
+
+    const bookCategories = { $ifNull: ['$categorias', []] };
+    return await Book.aggregate([
+        { $match: { _id: { $nin: excludeIds }, $or: candidates, ...VISIBLE } },
+        {
+            $project: {
+                score: {
+                    $add: [
+                        ...categorias.map(({ nombre, weight }) => ({ $cond: [{ $in: [nombre, bookCategories] }, weight, 0] })),
+                        ...autores.map(({ id, weight }) => ({ $cond: [{ $eq: ['$autorRef', id] }, weight, 0] })),
+                        { $multiply: [{ $ifNull: ['$averageRating', 0] }, 0.2] }
+                    ]
+                }
+            }
+        },
+        { $sort: { score: -1, _id: -1 } },
+        { $limit: limit }
+    ]);
+};
+
+/**
+ * Libros populares de un idioma: tendencia del último mes y luego los mejor calificados.
+ * @param {string} idioma - El idioma.
+ * @param {object[]} excludeIds - Libros a dejar afuera.
+ * @param {number} limit - La cantidad máxima de libros.
+ * @returns {Promise<object[]>} Los IDs de los libros (`{ _id }`).
+ */
+export const findPopularIds = async (idioma, excludeIds, limit) => {
+    return await Book.find({ _id: { $nin: excludeIds }, idioma, ...VISIBLE })
+        .sort({ 'popularity.30d.score': -1, totalRatingsCount: -1, averageRating: -1, _id: -1 })
+        .limit(limit)
+        .select('_id')
+        .lean();
+};
+
+
+//duplicados
+
+// Datos de cada libro en la revisión de duplicados
+const DUPLICATE_FIELDS = 'titulo slug autor autorRef portada portadaCloudinary idioma anio fileType files.format files.fileSize files.checksum files.storage averageRating totalRatingsCount createdAt';
+
+// Agrupa por `key` y deja solo los grupos con dos o más libros distintos
+const groupBookIds = (key) => [
+    { $group: { _id: key, ids: { $addToSet: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } }
+];
+
+/**
+ * Grupos de libros que podrían ser el mismo, por tres señales:
+ * - titleAuthor: título normalizado y mismo autor (el Author vinculado o, si no hay, el nombre normalizado).
+ * - checksum: alguna edición con el mismo archivo.
+ * - fileSize: alguna edición con el mismo formato y tamaño exacto.
+ * @param {number} minFileSize - Tamaño mínimo en bytes para comparar por tamaño (los archivos chicos coinciden por azar).
+ * @returns {Promise<object>} `{ titleAuthor, checksum, fileSize }`, cada uno con `{ _id: clave, ids }` por grupo.
+ */
+export const findDuplicateGroups = async (minFileSize) => {
+    const [titleAuthor, checksum, fileSize] = await Promise.all([
+        Book.aggregate([
+            { $match: { 'searchText.titulo': { $exists: true, $ne: '' } } },
+            ...groupBookIds({
+                titulo: '$searchText.titulo',
+                autor: { $ifNull: ['$autorRef', { $ifNull: ['$searchText.autor', ''] }] }
+            })
+        ]).allowDiskUse(true),
+        Book.aggregate([
+            { $match: { 'files.checksum': { $exists: true, $ne: null } } },
+            { $unwind: '$files' },
+            { $match: { 'files.checksum': { $exists: true, $ne: null } } },
+            ...groupBookIds('$files.checksum')
+        ]).allowDiskUse(true),
+        Book.aggregate([
+            { $match: { 'files.fileSize': { $gte: minFileSize } } },
+            { $unwind: '$files' },
+            { $match: { 'files.fileSize': { $gte: minFileSize } } },
+            ...groupBookIds({ format: '$files.format', fileSize: '$files.fileSize' })
+        ]).allowDiskUse(true)
+    ]);
+
+    return { titleAuthor, checksum, fileSize };
+};
+
+/**
+ * Busca libros por ID con los datos para comparar posibles duplicados.
+ * @param {object[]} ids - Los IDs de los libros.
+ * @returns {Promise<object[]>} Los libros encontrados.
+ */
+export const findDuplicateDetails = async (ids) => {
+    return await Book.find({ _id: { $in: ids } }).select(DUPLICATE_FIELDS).lean();
+};
+
+/**
+ * Busca libros completos por ID (los duplicados a fusionar).
+ * @param {object[]} ids - Los IDs de los libros.
+ * @returns {Promise<object[]>} Los libros encontrados.
+ */
+export const findByIds = async (ids) => {
+    return await Book.find({ _id: { $in: ids } }).lean();
+};
+
+/**
+ * Guarda los cambios de un documento de libro.
+ * @param {object} book - El documento a guardar.
+ * @returns {Promise<object>} El libro guardado.
+ */
+export const save = async (book) => {
+    return await book.save();
+};
+
+/**
+ * Elimina varios libros por ID.
+ * @param {object[]} ids - Los IDs de los libros.
+ * @returns {Promise<number>} La cantidad de libros eliminados.
+ */
+export const deleteByIds = async (ids) => {
+    const result = await Book.deleteMany({ _id: { $in: ids } });
+    return result.deletedCount;
+};
+
+
+//tareas de mantenimiento (jobs/)
+
+// Libros con link de Drive que todavía no tienen link de ouo.io
+const WITHOUT_OUO = { link: { $nin: [null, ''] }, ouo: { $not: /ouo\.io/ } };
+// Libros con link de Drive pero sin ningún archivo en Telegram
+const WITHOUT_TELEGRAM = {
+    link: { $nin: [null, ''] },
+    'telegram.fileId': { $exists: false },
+    'files.storage': { $ne: 'telegram' }
+};
+
+// Siguiente lote de una tarea: los libros que cumplen la condición después del último procesado
+const findBatchAfter = (filter, afterId, limit, fields) => {
+    const conditions = afterId ? { $and: [filter, { _id: { $gt: afterId } }] } : filter;
+    return Book.find(conditions).sort({ _id: 1 }).limit(limit).select(fields).lean();
+};
+
+/**
+ * Cuenta los libros sin link de ouo.io.
+ * @returns {Promise<number>} La cantidad de libros.
+ */
+export const countWithoutOuo = async () => {
+    return await Book.countDocuments(WITHOUT_OUO);
+};
+
+/**
+ * Siguiente lote de libros sin link de ouo.io, en orden de _id.
+ * @param {string} [afterId] - El último libro procesado.
+ * @param {number} limit - La cantidad de libros.
+ * @returns {Promise<object[]>} `{ _id, titulo, link }` por libro.
+ */
+export const findWithoutOuo = async (afterId, limit) => {
+    return await findBatchAfter(WITHOUT_OUO, afterId, limit, 'titulo link');
+};
+
+/**
+ * Cuenta los libros con link de Drive pero sin archivo en Telegram.
+ * @returns {Promise<number>} La cantidad de libros.
+ */
+export const countWithoutTelegram = async () => {
+    return await Book.countDocuments(WITHOUT_TELEGRAM);
+};
+
+/**
+ * Siguiente lote de libros con link de Drive pero sin archivo en Telegram, en orden de _id.
+ * @param {string} [afterId] - El último libro procesado.
+ * @param {number} limit - La cantidad de libros.
+ * @returns {Promise<object[]>} Los datos del libro para subirlo y armar el mensaje.
+ */
+export const findWithoutTelegram = async (afterId, limit) => {
+    return await findBatchAfter(WITHOUT_TELEGRAM, afterId, limit, 'titulo autor anio categorias sinopsis link fileType');
+};
+
+// Libros con link de Drive a los que les faltan datos que se pueden sacar del archivo
+const DRIVE_LINK = { link: /[-\w]{25,}/ };
+const MISSING_DRIVE_METADATA = {
+    ...DRIVE_LINK,
+    $or: [{ fileSize: { $in: [null, 0] } }, { paginas: null }, { sinopsis: { $in: [null, ''] } }]
+};
+const DRIVE_METADATA_FIELDS = 'titulo link sinopsis paginas fileSize';
+
+/**
+ * Cuenta los libros de Drive a completar con los datos del archivo.
+ * @param {boolean} [all] - Todos los libros con link de Drive, no solo a los que les faltan datos.
+ * @returns {Promise<number>} La cantidad de libros.
+ */
+export const countForDriveMetadata = async (all) => {
+    return await Book.countDocuments(all ? DRIVE_LINK : MISSING_DRIVE_METADATA);
+};
+
+/**
+ * Siguiente lote de libros de Drive a completar con los datos del archivo, en orden de _id.
+ * @param {boolean} [all] - Todos los libros con link de Drive.
+ * @param {string} [afterId] - El último libro procesado.
+ * @param {number} limit - La cantidad de libros.
+ * @returns {Promise<object[]>} `{ _id, titulo, link, sinopsis, paginas, fileSize }` por libro.
+ */
+export const findForDriveMetadata = async (all, afterId, limit) => {
+    return await findBatchAfter(all ? DRIVE_LINK : MISSING_DRIVE_METADATA, afterId, limit, DRIVE_METADATA_FIELDS);
+};
+
+// Libros sin portada generada que tienen algún archivo
+const WITHOUT_COVER = {
+    'cover.sizes.0': { $exists: false },
+    $or: [{ link: { $nin: [null, ''] } }, { 'telegram.fileId': { $exists: true } }, { 'files.0': { $exists: true } }]
+};
+
+/**
+ * Cuenta los libros con archivo pero sin portada generada.
+ * @returns {Promise<number>} La cantidad de libros.
+ */
+export const countWithoutCover = async () => {
+    return await Book.countDocuments(WITHOUT_COVER);
+};
+
+/**
+ * Siguiente lote de libros con archivo pero sin portada generada, en orden de _id.
+ * @param {string} [afterId] - El último libro procesado.
+ * @param {number} limit - La cantidad de libros.
+ * @returns {Promise<object[]>} Los datos del libro para abrir el archivo y completar la portada.
+ */
+export const findWithoutCover = async (afterId, limit) => {
+    return await findBatchAfter(WITHOUT_COVER, afterId, limit, 'titulo link fileType telegram files portada portadaCloudinary');
+};
+
+// Libros con alguna copia que falló en el último control
+const FAILING_FILES = { 'files.health.status': { $in: ['missing', 'error'] } };
+const HEALTH_CHECK_FIELDS = 'titulo files telegram hidden hiddenReason';
+
+/**
+ * Cuenta los libros a verificar por la tarea link-health.
+ * @param {boolean} [onlyFailing] - Solo los que tienen alguna copia que falló en el último control.
+ * @returns {Promise<number>} La cantidad de libros.
+ */
+export const countForHealthCheck = async (onlyFailing) => {
+    return await Book.countDocuments(onlyFailing ? FAILING_FILES : {});
+};
+
+/**
+ * Siguiente lote de libros a verificar, en orden de _id.
+ * @param {boolean} [onlyFailing] - Solo los que tienen alguna copia que falló en el último control.
+ * @param {string} [afterId] - El último libro procesado.
+ * @param {number} limit - La cantidad de libros.
+ * @returns {Promise<object[]>} Los libros con sus ediciones.
+ */
+export const findForHealthCheck = async (onlyFailing, afterId, limit) => {
+    return await findBatchAfter(onlyFailing ? FAILING_FILES : {}, afterId, limit, HEALTH_CHECK_FIELDS);
+};
+
+/**
+ * Guarda el resultado del control de las ediciones de un libro. Se actualiza cada edición por su
+ * _id (no el array entero) para no pisar una edición agregada mientras tanto.
+ * @param {string} bookId - El ID del libro.
+ * @param {object[]} results - `{ fileId, health, isAvailable }` por edición.
+ * @param {object} set - Otros campos del libro (`linkHealth`, `telegram.isAvailable`, `hidden`, ...).
+ * @returns {Promise<void>}
+ */
+export const saveFilesHealth = async (bookId, results, set) => {
+    const update = { ...set };
+    const arrayFilters = [];
+    results.forEach(({ fileId, health, isAvailable }, i) => {
+        update[`files.$[f${i}].health`] = health;
+        update[`files.$[f${i}].isAvailable`] = isAvailable;
+        arrayFilters.push({ [`f${i}._id`]: fileId });
+    });
+    await Book.updateOne({ _id: bookId }, { $set: update }, { arrayFilters });
+};
+
+/**
+ * Libros con alguna copia que falló en el último control, los controlados más recientemente primero.
+ * @param {string} [status] - Solo las copias con este resultado ('missing' o 'error').
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de libros por página.
+ * @returns {Promise<object>} Un objeto con los libros y el conteo total.
+ */
+export const findWithFailingFiles = async (status, page, limit) => {
+    const skip = (page - 1) * limit;
+    const filters = status ? { 'files.health.status': status } : FAILING_FILES;
+
+    const [books, totalCount] = await Promise.all([
+        Book.find(filters)
+            .select('titulo slug autor files linkHealth hidden hiddenReason')
+            .sort({ 'linkHealth.lastCheckedAt': -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Book.countDocuments(filters)
+    ]);
+
+    return { books, totalCount };
+};
+
+/**
+ * Oculta de las búsquedas los libros sin ninguna copia disponible.
+ * @returns {Promise<number>} La cantidad de libros ocultados.
+ */
+export const hideBroken = async () => {
+    const result = await Book.updateMany(
+        { 'linkHealth.status': 'broken', hidden: { $ne: true } },
+        { $set: { hidden: true, hiddenReason: 'broken' } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Muestra u oculta un libro en las búsquedas.
+ * @param {string} id - El ID del libro.
+ * @param {boolean} hidden - Si se oculta.
+ * @returns {Promise<object|null>} El libro actualizado o null si no existe.
+ */
+export const setHidden = async (id, hidden) => {
+    const update = hidden
+        ? { $set: { hidden: true, hiddenReason: 'manual' } }
+        : { $set: { hidden: false }, $unset: { hiddenReason: 1 } };
+    return await Book.findByIdAndUpdate(id, update, { new: true })
+        .select('titulo slug hidden hiddenReason linkHealth')
+        .lean();
+};
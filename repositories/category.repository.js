@@ -0,0 +1,89 @@
+// repositories/category.repository.js
+import Category from "../model/category.model.js";
+import { buildCategoryKey } from "../utils/search.utils.js";
+
+/**
+ * Devuelve todas las categorías (para armar el árbol).
+ * @returns {Promise<object[]>} Las categorías ordenadas por nombre.
+ */
+export const findAll = async () => {
+    return await Category.find({}).sort({ nombre: 1 }).lean();
+};
+
+/**
+ * Busca la categoría cuyo nombre o alias coincide con el texto dado.
+ * @param {string} nombre - El nombre tal como viene en el libro.
+ * @returns {Promise<object>} La categoría o null.
+ */
+export const findByName = async (nombre) => {
+    const key = buildCategoryKey(nombre);
+    if (!key) return null;
+    return await Category.findOne({ $or: [{ nameKey: key }, { aliasKeys: key }] }).lean();
+};
+
+/**
+ * Busca una categoría por su ID (documento de Mongoose, para editarla).
+ * @param {string} id - El ID de la categoría.
+ * @returns {Promise<object>} El documento de la categoría o null.
+ */
+export const findDocumentById = async (id) => {
+    return await Category.findById(id);
+};
+
+/**
+ * Devuelve el padre de una categoría.
+ * @param {string} id - El ID de la categoría.
+ * @returns {Promise<object>} La categoría con solo su campo parent, o null.
+ */
+export const findParentOf = async (id) => {
+    return await Category.findById(id, { parent: 1 }).lean();
+};
+
+/**
+ * Indica si un slug de categoría ya está en uso por otra categoría.
+ * @param {string} slug - El slug a verificar.
+ * @param {string} [excludeId] - La categoría que se está editando.
+ * @returns {Promise<boolean>} true si está tomado.
+ */
+export const slugExists = async (slug, excludeId) => {
+    const filter = { slug };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return Boolean(await Category.exists(filter));
+};
+
+/**
+ * Crea una nueva categoría.
+ * @param {object} categoryData - Los datos de la categoría.
+ * @returns {Promise<object>} La categoría creada.
+ */
+export const create = async (categoryData) => {
+    return await Category.create(categoryData);
+};
+
+/**
+ * Guarda los cambios de un documento de categoría.
+ * @param {object} category - El documento a guardar.
+ * @returns {Promise<object>} La categoría guardada.
+ */
+export const save = async (category) => {
+    return await category.save();
+};
+
+/**
+ * Mueve las subcategorías de una categoría a otro padre.
+ * @param {string} fromParentId - El padre actual.
+ * @param {string} toParentId - El nuevo padre.
+ * @returns {Promise<object>} El resultado de la actualización.
+ */
+export const reparentChildren = async (fromParentId, toParentId) => {
+    return await Category.updateMany({ parent: fromParentId }, { $set: { parent: toParentId } });
+};
+
+/**
+ * Elimina una categoría.
+ * @param {string} id - El ID de la categoría.
+ * @returns {Promise<object>} La categoría eliminada.
+ */
+export const findByIdAndRemove = async (id) => {
+    return await Category.findByIdAndDelete(id);
+};
@@ -0,0 +1,81 @@
+// repositories/comment.repository.js
+import Comment from "../model/comentarios.model.js";
+
+// Datos públicos del autor que acompañan a cada comentario
+const AUTHOR_FIELDS = 'username avatar';
+
+/**
+ * Lista los comentarios de un libro, del más reciente al más antiguo.
+ * @param {string} bookId - El ID del libro.
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de comentarios por página.
+ * @param {boolean} includeDeleted - Si se incluyen los comentarios ocultos por moderación.
+ * @returns {Promise<object>} Un objeto con los comentarios y el conteo total.
+ */
+export const findByBook = async (bookId, page, limit, includeDeleted = false) => {
+    const skip = (page - 1) * limit;
+    const filters = { book: bookId };
+    if (!includeDeleted) filters.isDeleted = false;
+
+    const [comments, totalCount] = await Promise.all([
+        Comment.find(filters)
+            .populate('user', AUTHOR_FIELDS)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Comment.countDocuments(filters)
+    ]);
+
+    return { comments, totalCount };
+};
+
+/**
+ * Busca un comentario por su ID.
+ * @param {string} id - El ID del comentario.
+ * @returns {Promise<object>} El comentario o null.
+ */
+export const findById = async (id) => {
+    return await Comment.findById(id).lean();
+};
+
+/**
+ * Crea un nuevo comentario y lo devuelve con los datos del autor.
+ * @param {object} commentData - Los datos del comentario (book, user, text).
+ * @returns {Promise<object>} El comentario creado.
+ */
+export const create = async (commentData) => {
+    const comment = await Comment.create(commentData);
+    return await comment.populate('user', AUTHOR_FIELDS);
+};
+
+/**
+ * Actualiza un comentario y lo devuelve con los datos del autor.
+ * @param {string} id - El ID del comentario.
+ * @param {object} updateData - Los campos a actualizar.
+ * @returns {Promise<object>} El comentario actualizado.
+ */
+export const findByIdAndUpdate = async (id, updateData) => {
+    return await Comment.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
+        .populate('user', AUTHOR_FIELDS);
+};
+
+/**
+ * Elimina definitivamente un comentario.
+ * @param {string} id - El ID del comentario.
+ * @returns {Promise<object>} El comentario eliminado.
+ */
+export const findByIdAndRemove = async (id) => {
+    return await Comment.findByIdAndDelete(id);
+};
+
+/**
+ * Pasa los comentarios de unos libros a otro (al fusionar duplicados).
+ * @param {object[]} fromBookIds - Los libros que desaparecen.
+ * @param {string} toBookId - El libro que queda.
+ * @returns {Promise<number>} La cantidad de comentarios movidos.
+ */
+export const moveToBook = async (fromBookIds, toBookId) => {
+    const result = await Comment.updateMany({ book: { $in: fromBookIds } }, { $set: { book: toBookId } });
+    return result.modifiedCount;
+};
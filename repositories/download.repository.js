@@ -0,0 +1,98 @@
+// repositories/download.repository.js
+import Download from "../model/download.model.js";
+
+// Datos del libro que acompañan a cada descarga del historial
+const BOOK_FIELDS = 'titulo slug autor portada portadaCloudinary fileType';
+
+/**
+ * Registra una descarga.
+ * @param {object} downloadData - `{ user, book, channel, format, plan }`.
+ * @returns {Promise<object>} La descarga creada.
+ */
+export const create = async (downloadData) => {
+    return await Download.create(downloadData);
+};
+
+/**
+ * Borra una descarga (una reserva de cuota que no se pudo usar).
+ * @param {string} id - El ID de la descarga.
+ * @returns {Promise<object>} El resultado del borrado.
+ */
+export const deleteById = async (id) => {
+    return await Download.deleteOne({ _id: id });
+};
+
+/**
+ * Cuenta las descargas de un usuario desde una fecha (inicio del período de la cuota).
+ * @param {string} userId - El ID del usuario.
+ * @param {Date} since - El inicio del período.
+ * @returns {Promise<number>} La cantidad de descargas.
+ */
+export const countByUserSince = async (userId, since) => {
+    return await Download.countDocuments({ user: userId, createdAt: { $gte: since } });
+};
+
+/**
+ * Usa una de las reanudaciones de una descarga por stream: la del usuario y libro con ese token,
+ * registrada desde `since` y con menos de `maxResumes` reanudaciones. Cuenta la reanudación en
+ * la misma operación, así los pedidos simultáneos no superan el máximo.
+ * @param {string} userId - El ID del usuario.
+ * @param {string} bookId - El ID del libro.
+ * @param {string} resumeToken - El token recibido en If-Range.
+ * @param {Date} since - Desde cuándo se puede retomar.
+ * @param {number} maxResumes - Reanudaciones permitidas por descarga.
+ * @returns {Promise<object|null>} La descarga, o null si no se puede retomar.
+ */
+export const claimResume = async (userId, bookId, resumeToken, since, maxResumes) => {
+    return await Download.findOneAndUpdate(
+        { user: userId, book: bookId, resumeToken, createdAt: { $gte: since }, resumeCount: { $lt: maxResumes } },
+        { $inc: { resumeCount: 1 } },
+        { new: true }
+    ).lean();
+};
+
+/**
+ * Historial de descargas de un usuario, de la más reciente a la más antigua.
+ * @param {string} userId - El ID del usuario.
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de descargas por página.
+ * @returns {Promise<object>} Un objeto con las descargas y el conteo total.
+ */
+export const findByUser = async (userId, page, limit) => {
+    const skip = (page - 1) * limit;
+    const filters = { user: userId };
+
+    const [downloads, totalCount] = await Promise.all([
+        Download.find(filters)
+            .populate('book', BOOK_FIELDS)
+            .select('-user')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Download.countDocuments(filters)
+    ]);
+
+    return { downloads, totalCount };
+};
+
+/**
+ * IDs de los libros que descargó un usuario alguna vez.
+ * @param {string} userId - El ID del usuario.
+ * @returns {Promise<object[]>} Los IDs, sin repetir.
+ */
+export const findBookIdsByUser = async (userId) => {
+    return await Download.distinct('book', { user: userId });
+};
+
+/**
+ * Pasa las descargas de unos libros a otro (al fusionar duplicados), así el historial
+ * y las tendencias siguen contando.
+ * @param {object[]} fromBookIds - Los libros que desaparecen.
+ * @param {string} toBookId - El libro que queda.
+ * @returns {Promise<number>} La cantidad de descargas movidas.
+ */
+export const moveToBook = async (fromBookIds, toBookId) => {
+    const result = await Download.updateMany({ book: { $in: fromBookIds } }, { $set: { book: toBookId } });
+    return result.modifiedCount;
+};
@@ -0,0 +1,73 @@
+// repositories/importJob.repository.js
+import ImportJob from "../model/importJob.model.js";
+
+/**
+ * Crea una importación.
+ * @param {object} jobData - `{ user, format, filename, rows, totals }`.
+ * @returns {Promise<object>} La importación creada.
+ */
+export const create = async (jobData) => {
+    return await ImportJob.create(jobData);
+};
+
+/**
+ * Busca una importación por su ID, con el resultado de cada fila.
+ * @param {string} id - El ID de la importación.
+ * @returns {Promise<object|null>} La importación o null.
+ */
+export const findById = async (id) => {
+    return await ImportJob.findById(id).populate('user', 'username').lean();
+};
+
+/**
+ * Busca una importación por su ID (documento de mongoose, para ir guardando el avance).
+ * @param {string} id - El ID de la importación.
+ * @returns {Promise<object|null>} El documento o null.
+ */
+export const findDocumentById = async (id) => {
+    return await ImportJob.findById(id);
+};
+
+/**
+ * Guarda los cambios de un documento de importación.
+ * @param {object} job - El documento a guardar.
+ * @returns {Promise<object>} La importación guardada.
+ */
+export const save = async (job) => {
+    return await job.save();
+};
+
+/**
+ * Lista las importaciones, la más reciente primero, sin el detalle de las filas.
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de importaciones por página.
+ * @returns {Promise<object>} Un objeto con las importaciones y el conteo total.
+ */
+export const findAll = async (page, limit) => {
+    const skip = (page - 1) * limit;
+
+    const [jobs, totalCount] = await Promise.all([
+        ImportJob.find({})
+            .select('-rows')
+            .populate('user', 'username')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        ImportJob.countDocuments({})
+    ]);
+
+    return { jobs, totalCount };
+};
+
+/**
+ * IDs de las importaciones sin terminar (pendientes o cortadas por un reinicio).
+ * @returns {Promise<object[]>} Los IDs, de la más antigua a la más reciente.
+ */
+export const findUnfinishedIds = async () => {
+    const jobs = await ImportJob.find({ status: { $in: ['pending', 'running'] } })
+        .sort({ createdAt: 1 })
+        .select('_id')
+        .lean();
+    return jobs.map(job => job._id);
+};
@@ -0,0 +1,193 @@
+// repositories/job.repository.js
+import Job from "../model/job.model.js";
+import JobLog from "../model/jobLog.model.js";
+
+/**
+ * Encola una tarea.
+ * @param {object} jobData - `{ type, params, maxAttempts, createdBy }`.
+ * @returns {Promise<object>} La tarea creada.
+ */
+export const create = async (jobData) => {
+    return await Job.create(jobData);
+};
+
+/**
+ * Busca una tarea por su ID.
+ * @param {string} id - El ID de la tarea.
+ * @returns {Promise<object|null>} La tarea o null.
+ */
+export const findById = async (id) => {
+    return await Job.findById(id).populate('createdBy', 'username').lean();
+};
+
+/**
+ * Lista las tareas, la más reciente primero.
+ * @param {object} filters - `{ status, type }` (opcionales).
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de tareas por página.
+ * @returns {Promise<object>} Un objeto con las tareas y el conteo total.
+ */
+export const findAll = async ({ status, type }, page, limit) => {
+    const skip = (page - 1) * limit;
+    const filters = {};
+    if (status) filters.status = status;
+    if (type) filters.type = type;
+
+    const [jobs, totalCount] = await Promise.all([
+        Job.find(filters)
+            .populate('createdBy', 'username')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Job.countDocuments(filters)
+    ]);
+
+    return { jobs, totalCount };
+};
+
+/**
+ * La tarea más reciente de un tipo.
+ * @param {string} type - El tipo de tarea.
+ * @returns {Promise<object|null>} La tarea o null si nunca se encoló una.
+ */
+export const findLatestByType = async (type) => {
+    return await Job.findOne({ type }).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Cuenta las tareas en ejecución de cada tipo.
+ * @returns {Promise<Map<string, number>>} Por tipo, la cantidad en ejecución.
+ */
+export const countRunningByType = async () => {
+    const counts = await Job.aggregate([
+        { $match: { status: 'running' } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+/**
+ * Toma la próxima tarea en cola (la más antigua ya lista) y la marca como propia.
+ * Es atómico: dos servidores no pueden tomar la misma tarea.
+ * @param {string[]} types - Los tipos que se pueden ejecutar ahora.
+ * @param {string} workerId - El servidor que la toma.
+ * @returns {Promise<object|null>} La tarea tomada o null si no hay ninguna.
+ */
+export const claimNext = async (types, workerId) => {
+    const now = new Date();
+    return await Job.findOneAndUpdate(
+        { status: 'queued', type: { $in: types }, nextRunAt: { $lte: now }, lockedBy: null },
+        { $set: { status: 'running', lockedBy: workerId, lockedAt: now, startedAt: now } },
+        { sort: { nextRunAt: 1, createdAt: 1 }, new: true }
+    ).lean();
+};
+
+/**
+ * Guarda el avance de un lote y renueva el bloqueo, solo si la tarea sigue siendo de este servidor.
+ * @param {string} id - El ID de la tarea.
+ * @param {string} workerId - El servidor que la ejecuta.
+ * @param {object} set - Campos a guardar (`cursor`, `progress.total`).
+ * @param {object} [inc] - Contadores a sumar en `progress` (`{ processed, succeeded, skipped, failed }`).
+ * @returns {Promise<string|null>} El estado actual (otro que 'running' si se pausó) o null si ya no es de este servidor.
+ */
+export const checkpoint = async (id, workerId, set, inc = {}) => {
+    const update = { $set: { ...set, lockedAt: new Date() } };
+    if (Object.keys(inc).length > 0) {
+        update.$inc = Object.fromEntries(Object.entries(inc).map(([key, value]) => [`progress.${key}`, value]));
+    }
+
+    const job = await Job.findOneAndUpdate(
+        { _id: id, lockedBy: workerId },
+        update,
+        { new: true, projection: { status: 1 } }
+    ).lean();
+    return job?.status ?? null;
+};
+
+/**
+ * Termina la ejecución de una tarea (completada, fallida o de vuelta en cola) y libera el bloqueo.
+ * @param {string} id - El ID de la tarea.
+ * @param {string} workerId - El servidor que la ejecuta.
+ * @param {object} set - Los campos finales (`status`, `finishedAt`, `lastError`, `nextRunAt`, ...).
+ * @param {object} [inc] - Campos a sumar (ej. `{ attempts: 1 }`).
+ * @returns {Promise<object|null>} La tarea o null si ya no era de este servidor o la pausaron.
+ */
+export const finish = async (id, workerId, set, inc = {}) => {
+    const update = { $set: { ...set, lockedBy: null, lockedAt: null } };
+    if (Object.keys(inc).length > 0) update.$inc = inc;
+
+    return await Job.findOneAndUpdate(
+        { _id: id, lockedBy: workerId, status: 'running' },
+        update,
+        { new: true }
+    ).lean();
+};
+
+/**
+ * Libera el bloqueo de una tarea sin cambiar su estado (al detenerla por una pausa).
+ * @param {string} id - El ID de la tarea.
+ * @param {string} workerId - El servidor que la ejecutaba.
+ */
+export const release = async (id, workerId) => {
+    await Job.updateOne({ _id: id, lockedBy: workerId }, { $set: { lockedBy: null, lockedAt: null } });
+};
+
+/**
+ * Cambia el estado de una tarea solo si está en alguno de los estados esperados.
+ * @param {string} id - El ID de la tarea.
+ * @param {string[]} fromStatuses - Los estados desde los que se permite el cambio.
+ * @param {object} set - Los campos a guardar.
+ * @returns {Promise<object|null>} La tarea actualizada o null si no estaba en esos estados.
+ */
+export const updateStatus = async (id, fromStatuses, set) => {
+    return await Job.findOneAndUpdate({ _id: id, status: { $in: fromStatuses } }, { $set: set }, { new: true }).lean();
+};
+
+/**
+ * Libera las tareas cuyo servidor dejó de renovar el bloqueo (se cayó o se reinició):
+ * las que estaban en ejecución vuelven a la cola y siguen desde su último avance guardado.
+ * @param {Date} lockedBefore - Bloqueos renovados por última vez antes de esta fecha.
+ * @returns {Promise<number>} La cantidad de tareas liberadas.
+ */
+export const releaseStale = async (lockedBefore) => {
+    const stale = { lockedBy: { $ne: null }, lockedAt: { $lt: lockedBefore } };
+    const [requeued, released] = await Promise.all([
+        Job.updateMany({ ...stale, status: 'running' }, { $set: { status: 'queued', lockedBy: null, lockedAt: null } }),
+        Job.updateMany({ ...stale, status: { $ne: 'running' } }, { $set: { lockedBy: null, lockedAt: null } })
+    ]);
+    return requeued.modifiedCount + released.modifiedCount;
+};
+
+/**
+ * Registra un error de una tarea.
+ * @param {object} logData - `{ job, item, label, message, attempt }`.
+ * @returns {Promise<object>} El registro creado.
+ */
+export const createLog = async (logData) => {
+    return await JobLog.create(logData);
+};
+
+/**
+ * Errores de una tarea, del más reciente al más antiguo.
+ * @param {string} jobId - El ID de la tarea.
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de errores por página.
+ * @returns {Promise<object>} Un objeto con los errores y el conteo total.
+ */
+export const findLogs = async (jobId, page, limit) => {
+    const skip = (page - 1) * limit;
+    const filters = { job: jobId };
+
+    const [logs, totalCount] = await Promise.all([
+        JobLog.find(filters)
+            .select('-job')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        JobLog.countDocuments(filters)
+    ]);
+
+    return { logs, totalCount };
+};
@@ -1,4 +1,6 @@
 import Movie from '../model/peliskal.movie.model.js';
+import { getSearchTerms, buildTermsMatch, buildRelevanceScore } from '../utils/search.utils.js';
+import { decodeCursor, buildCursorCondition, buildCursorPage } from '../utils/pagination.utils.js';
 
 class MovieRepository {
     async findAll() {
@@ -35,12 +37,13 @@ class MovieRepository {
 
 
 
-    async findWithFilters({ query, genres, type, minRating, year, page = 1, limit = 20 }) {
+    async findWithFilters({ query, genres, type, minRating, year, page = 1, limit = 20, cursor, withCount }) {
         const filters = {};
 
-        // Búsqueda por texto (Título) - Case Insensitive
-        if (query) {
-            filters.title = { $regex: query, $options: 'i' };
+        // Búsqueda por texto (Título) - sin acentos ni mayúsculas, el texto del usuario se escapa
+        const terms = getSearchTerms(query);
+        if (terms.length > 0) {
+            Object.assign(filters, buildTermsMatch(terms, ['searchText.title']));
         }
 
         // Filtro por Géneros (Busca si el array contiene los IDs)
@@ -59,24 +62,58 @@ class MovieRepository {
         if (year) filters.release_year = parseInt(year);
 
         const skip = (page - 1) * limit;
+        limit = parseInt(limit) || 20;
+
+        // Con texto, primero los títulos que empiezan con la búsqueda o la contienen como palabra completa.
+        // _id al final desempata y hace estable la paginación.
+        const sort = terms.length > 0
+            ? { _score: -1, popularity: -1, _id: -1 }
+            : { popularity: -1, _id: -1 }; // Ordenamos por lo más popular primero
+
+        // Paginación por cursor (opcional): cursor='' pide la primera página
+        const useCursor = cursor !== undefined;
+        const after = useCursor ? buildCursorCondition(sort, decodeCursor(cursor, sort)) : {};
+
+        const findMovies = terms.length > 0
+            ? Movie.aggregate([
+                { $match: filters },
+                { $addFields: { _score: buildRelevanceScore(terms, { 'searchText.title': 1 }) } },
+                { $sort: sort },
+                ...(useCursor
+                    ? [{ $match: after }, { $limit: limit + 1 }]
+                    : [{ $skip: skip }, { $limit: limit }]),
+                { $project: { searchText: 0 } }
+            ])
+            : Movie.find(useCursor ? { $and: [filters, after] } : filters)
+                .sort(sort)
+                .skip(useCursor ? 0 : skip)
+                .limit(useCursor ? limit + 1 : limit)
+                .lean(); // lean() hace la consulta mucho más rápida (devuelve POJO, no documentos Mongoose)
 
         // Ejecutamos la búsqueda y el conteo total en paralelo para optimizar tiempo
         const [data, total] = await Promise.all([
-            Movie.find(filters)
-                .sort({ popularity: -1 }) // Ordenamos por lo más popular primero
-                .skip(skip)
-                .limit(limit)
-                .lean(), // lean() hace la consulta mucho más rápida (devuelve POJO, no documentos Mongoose)
-            Movie.countDocuments(filters)
+            findMovies,
+            !useCursor || withCount ? Movie.countDocuments(filters) : undefined
         ]);
 
+        if (useCursor) {
+            const { items, nextCursor } = buildCursorPage(data, limit, sort);
+            items.forEach(movie => delete movie._score);
+
+            const pagination = { limit, nextCursor };
+            if (withCount) pagination.totalResults = total;
+            return { movies: items, pagination };
+        }
+
+        data.forEach(movie => delete movie._score);
+
         return {
             movies: data,
             pagination: {
                 totalResults: total,
                 totalPages: Math.ceil(total / limit),
                 currentPage: parseInt(page),
-                limit: parseInt(limit)
+                limit
             }
         };
     }
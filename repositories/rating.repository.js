@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import Rating from '../model/Rating.model.js';
 
 /**
@@ -21,4 +22,75 @@ export const createRating = async (ratingData) => {
 
 export const findRatingsByUser = async (userId) => {
     return await Rating.find({ user: userId }).populate('book', 'title author averageRating totalRatingsCount');
-}
\ No newline at end of file
+}
+/**
+ * Libros que calificaron alto los usuarios que también calificaron alto este libro.
+ * @param {string} bookId - El ID del libro.
+ * @param {number} minRating - La calificación mínima que cuenta como "alta".
+ * @param {number} maxUsers - Cuántos usuarios (los más recientes) se tienen en cuenta.
+ * @param {number} limit - La cantidad máxima de libros a devolver.
+ * @returns {Promise<object[]>} `{ _id: bookId, count }`, de mayor a menor coincidencia.
+ */
+export const findCoRatedBooks = async (bookId, minRating, maxUsers, limit) => {
+  const fans = await Rating.find({ book: bookId, rating: { $gte: minRating } })
+    .sort({ updatedAt: -1 })
+    .limit(maxUsers)
+    .select('user')
+    .lean();
+  if (fans.length === 0) return [];
+
+  return await Rating.aggregate([
+    {
+      $match: {
+        user: { $in: fans.map(fan => fan.user) },
+        book: { $ne: new mongoose.Types.ObjectId(bookId.toString()) },
+        rating: { $gte: minRating }
+      }
+    },
+    { $group: { _id: '$book', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+/**
+ * Calificaciones de un usuario (solo libro y puntaje), para armar su perfil de gustos.
+ * @param {string} userId - El ID del usuario.
+ * @returns {Promise<object[]>} `{ book, rating, updatedAt }` por calificación.
+ */
+export const findUserRatings = async (userId) => {
+  return await Rating.find({ user: userId }).select('book rating updatedAt').lean();
+};
+
+/**
+ * Pasa las calificaciones de un libro a otro (al fusionar duplicados). Si el usuario ya
+ * calificó el libro que queda, se conserva esa calificación y se borra la del duplicado.
+ * @param {string} fromBookId - El libro que desaparece.
+ * @param {string} toBookId - El libro que queda.
+ * @returns {Promise<number>} La cantidad de calificaciones movidas.
+ */
+export const moveToBook = async (fromBookId, toBookId) => {
+  const ratedUsers = await Rating.distinct('user', { book: toBookId });
+  const result = await Rating.updateMany(
+    { book: fromBookId, user: { $nin: ratedUsers } },
+    { $set: { book: toBookId } }
+  );
+  await Rating.deleteMany({ book: fromBookId });
+  return result.modifiedCount;
+};
+
+/**
+ * Promedio y cantidad de calificaciones de un libro, calculados desde cero.
+ * @param {string} bookId - El ID del libro.
+ * @returns {Promise<object>} `{ averageRating, totalRatingsCount }`.
+ */
+export const getBookMetrics = async (bookId) => {
+  const [metrics] = await Rating.aggregate([
+    { $match: { book: new mongoose.Types.ObjectId(bookId.toString()) } },
+    { $group: { _id: null, averageRating: { $avg: '$rating' }, totalRatingsCount: { $sum: 1 } } }
+  ]);
+  return {
+    averageRating: metrics?.averageRating || 0,
+    totalRatingsCount: metrics?.totalRatingsCount || 0
+  };
+};
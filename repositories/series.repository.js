@@ -0,0 +1,51 @@
+// repositories/series.repository.js
+import Series from "../model/series.model.js";
+
+/**
+ * Busca una saga por su slug.
+ * @param {string} slug - El slug de la saga.
+ * @returns {Promise<object>} La saga (con el nombre de su autor) o null.
+ */
+export const findBySlug = async (slug) => {
+    return await Series.findOne({ slug }).populate('autorRef', 'nombre slug').lean();
+};
+
+/**
+ * Busca una saga por su ID.
+ * @param {string} id - El ID de la saga.
+ * @returns {Promise<object>} La saga o null.
+ */
+export const findById = async (id) => {
+    return await Series.findById(id).lean();
+};
+
+/**
+ * Indica si un slug de saga ya está en uso por otra saga.
+ * @param {string} slug - El slug a verificar.
+ * @param {string} [excludeId] - La saga que se está editando.
+ * @returns {Promise<boolean>} true si está tomado.
+ */
+export const slugExists = async (slug, excludeId) => {
+    const filter = { slug };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return Boolean(await Series.exists(filter));
+};
+
+/**
+ * Crea una nueva saga.
+ * @param {object} seriesData - Los datos de la saga.
+ * @returns {Promise<object>} La saga creada.
+ */
+export const create = async (seriesData) => {
+    return await Series.create(seriesData);
+};
+
+/**
+ * Encuentra una saga por su ID y la actualiza.
+ * @param {string} id - El ID de la saga.
+ * @param {object} updateData - Los datos a actualizar.
+ * @returns {Promise<object>} La saga actualizada.
+ */
+export const findByIdAndUpdate = async (id, updateData) => {
+    return await Series.findByIdAndUpdate(id, updateData, { new: true, runValidators: true });
+};
@@ -0,0 +1,45 @@
+// repositories/similarBooks.repository.js
+import SimilarBooks from "../model/similarBooks.model.js";
+
+/**
+ * Devuelve los similares guardados de un libro, si no vencieron.
+ * @param {string} bookId - El ID del libro.
+ * @returns {Promise<object|null>} La entrada de la caché o null.
+ */
+export const findByBook = async (bookId) => {
+    return await SimilarBooks.findOne({ book: bookId, expiresAt: { $gt: new Date() } }).lean();
+};
+
+/**
+ * Guarda (o reemplaza) los similares de un libro.
+ * @param {string} bookId - El ID del libro.
+ * @param {object} data - `{ categorias, results, expiresAt }`.
+ * @returns {Promise<object>} La entrada guardada.
+ */
+export const save = async (bookId, data) => {
+    return await SimilarBooks.findOneAndUpdate(
+        { book: bookId },
+        { $set: data },
+        { new: true, upsert: true }
+    ).lean();
+};
+
+/**
+ * Borra las entradas afectadas por un cambio: las de los libros indicados, las que
+ * los incluyen en sus resultados y las de libros con alguna de las categorías.
+ * @param {object} changes - `{ bookIds: [], categorias: [] }`.
+ * @returns {Promise<number>} La cantidad de entradas borradas.
+ */
+export const invalidate = async ({ bookIds = [], categorias = [] }) => {
+    const conditions = [];
+    if (bookIds.length > 0) {
+        conditions.push({ book: { $in: bookIds } }, { 'results.book': { $in: bookIds } });
+    }
+    if (categorias.length > 0) {
+        conditions.push({ categorias: { $in: categorias } });
+    }
+    if (conditions.length === 0) return 0;
+
+    const result = await SimilarBooks.deleteMany({ $or: conditions });
+    return result.deletedCount;
+};
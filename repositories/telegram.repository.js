@@ -8,3 +8,14 @@ export const uploadDocument = async (buffer, filename, caption) => {
     );
 };
 
+
+// Datos de un archivo del bot (file_path y file_size). El bot solo puede descargar archivos de hasta 20 MB
+export const getFile = async (fileId) => {
+    return await bot.telegram.getFile(fileId);
+};
+
+export const getFileUrl = (filePath) => `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${filePath}`;
+
+export const deleteMessage = async (messageId) => {
+    return await bot.telegram.deleteMessage(CHANNEL_ID, messageId);
+};
@@ -0,0 +1,77 @@
+// repositories/trending.repository.js
+// Agregaciones de las señales de popularidad (descargas, vistas, favoritos y calificaciones).
+import BookEvent from "../model/bookEvent.model.js";
+import Download from "../model/download.model.js";
+import Rating from "../model/Rating.model.js";
+
+/**
+ * Registra una vista o un favorito de un libro.
+ * @param {object} eventData - `{ book, type: 'view' | 'favorite', user? }`.
+ * @returns {Promise<object>} El evento creado.
+ */
+export const createEvent = async (eventData) => {
+    return await BookEvent.create(eventData);
+};
+
+// Suma por libro el peso de cada evento desde `since`, multiplicado por 0.5 cada
+// `halfLifeMs` de antigüedad (un pico viejo pesa cada vez menos)
+const decayedScoreByBook = (Model, { since, now, halfLifeMs, weight }) => Model.aggregate([
+    { $match: { createdAt: { $gte: since, $lte: now } } },
+    {
+        $group: {
+            _id: '$book',
+            score: {
+                $sum: {
+                    $multiply: [
+                        weight,
+                        { $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLifeMs] }] }
+                    ]
+                }
+            },
+            count: { $sum: 1 }
+        }
+    }
+]);
+
+/**
+ * Calcula la popularidad de cada libro con actividad en la ventana.
+ * @param {object} options - `{ since, now, halfLifeMs, weights: { download, view, favorite, rating } }`.
+ * @returns {Promise<Map<string, object>>} Por ID de libro: `{ score, downloads }`.
+ */
+export const computeScores = async ({ since, now, halfLifeMs, weights }) => {
+    const range = { since, now, halfLifeMs };
+    const eventWeight = { $cond: [{ $eq: ['$type', 'view'] }, weights.view, weights.favorite] };
+
+    const [downloads, events, ratings] = await Promise.all([
+        decayedScoreByBook(Download, { ...range, weight: weights.download }),
+        decayedScoreByBook(BookEvent, { ...range, weight: eventWeight }),
+        decayedScoreByBook(Rating, { ...range, weight: weights.rating })
+    ]);
+
+    const scores = new Map();
+    const add = (rows, isDownload) => {
+        for (const { _id, score, count } of rows) {
+            const key = _id.toString();
+            const current = scores.get(key) || { score: 0, downloads: 0 };
+            current.score += score;
+            if (isDownload) current.downloads += count;
+            scores.set(key, current);
+        }
+    };
+    add(downloads, true);
+    add(events, false);
+    add(ratings, false);
+
+    return scores;
+};
+
+/**
+ * Pasa las vistas y favoritos registrados de unos libros a otro (al fusionar duplicados).
+ * @param {object[]} fromBookIds - Los libros que desaparecen.
+ * @param {string} toBookId - El libro que queda.
+ * @returns {Promise<number>} La cantidad de eventos movidos.
+ */
+export const moveEvents = async (fromBookIds, toBookId) => {
+    const result = await BookEvent.updateMany({ book: { $in: fromBookIds } }, { $set: { book: toBookId } });
+    return result.modifiedCount;
+};
@@ -1,6 +1,10 @@
 import User from "../model/user.model.js";
+import Book from "../model/book.model.js";
 import Subscription from "../model/Subscription.model.js";
 
+// Campos mínimos para mostrar un libro como tarjeta en un listado
+const BOOK_CARD_FIELDS = 'titulo portada portadaCloudinary autor categorias idioma anio fileType averageRating totalRatingsCount isPremium isExclusive';
+
 export const createUser = async (userData) => {
   const user = new User(userData);
   return await user.save();
@@ -29,6 +33,85 @@ export const findUserByEmailAndUpdate = async (email, updateData) => {
 
 
 
+//favoritos del usuario (operaciones atómicas sobre el array)
+export const addFavorite = async (userId, bookId) => {
+  return await User.findByIdAndUpdate(
+      userId,
+      { $addToSet: { favoritos: bookId } },
+      { new: true, projection: { favoritos: 1 } }
+  );
+};
+
+export const removeFavorite = async (userId, bookId) => {
+  return await User.findByIdAndUpdate(
+      userId,
+      { $pull: { favoritos: bookId } },
+      { new: true, projection: { favoritos: 1 } }
+  );
+};
+
+export const isFavorite = async (userId, bookId) => {
+  const exists = await User.exists({ _id: userId, favoritos: bookId });
+  return Boolean(exists);
+};
+
+export const findFavorites = async (userId, page, limit) => {
+  const user = await User.findById(userId, { favoritos: 1 }).lean();
+  if (!user) return null;
+
+  // Solo cuentan los libros que siguen existiendo y no están ocultos del catálogo
+  const visible = await Book.find({ _id: { $in: user.favoritos || [] }, hidden: { $ne: true } })
+      .select('_id')
+      .lean();
+  const visibleIds = new Set(visible.map(book => book._id.toString()));
+
+  // Los últimos agregados quedan al final del array: los mostramos primero
+  const ids = [...(user.favoritos || [])].reverse().filter(id => visibleIds.has(id.toString()));
+  const skip = (page - 1) * limit;
+  const pageIds = ids.slice(skip, skip + limit);
+
+  const books = await Book.find({ _id: { $in: pageIds } })
+      .select(BOOK_CARD_FIELDS)
+      .lean();
+
+  // $in no respeta el orden: lo restauramos según el array de favoritos
+  const byId = new Map(books.map(book => [book._id.toString(), book]));
+  const ordered = pageIds
+      .map(id => byId.get(id.toString()))
+      .filter(Boolean);
+
+  return { books: ordered, totalCount: ids.length };
+};
+
+
+
+/**
+ * Favoritos e idioma preferido del usuario, para las recomendaciones.
+ * @param {string} userId - El ID del usuario.
+ * @returns {Promise<object|null>} `{ favoritos, idiomaPreferido }` o null.
+ */
+export const findPreferences = async (userId) => {
+  return await User.findById(userId).select('favoritos idiomaPreferido').lean();
+};
+
+/**
+ * Cambia los libros duplicados por el que queda en los favoritos de todos los usuarios.
+ * @param {object[]} fromBookIds - Los libros que desaparecen.
+ * @param {string} toBookId - El libro que queda.
+ * @returns {Promise<number>} La cantidad de usuarios que tenían alguno como favorito.
+ */
+export const replaceFavorites = async (fromBookIds, toBookId) => {
+  // Dos pasos: MongoDB no permite $addToSet y $pull sobre el mismo array en una actualización
+  await User.updateMany({ favoritos: { $in: fromBookIds } }, { $addToSet: { favoritos: toBookId } });
+  const result = await User.updateMany(
+      { favoritos: { $in: fromBookIds } },
+      { $pull: { favoritos: { $in: fromBookIds } } }
+  );
+  return result.modifiedCount;
+};
+
+
+
 //suscripcion del usuario
 export const updateSubscriptionData = async (email, creemData) => {
   const { status, period_start, period_end, amount, id } = creemData;
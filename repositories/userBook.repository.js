@@ -0,0 +1,141 @@
+// repositories/userBook.repository.js
+import mongoose from "mongoose";
+import UserBook from "../model/userBook.model.js";
+import Book from "../model/book.model.js";
+
+// Datos del libro que acompañan a cada entrada de la biblioteca
+const BOOK_FIELDS = 'titulo slug autor portada portadaCloudinary paginas';
+
+/**
+ * Lista la biblioteca de un usuario, lo último actualizado primero.
+ * @param {string} userId - El ID del usuario.
+ * @param {string} [status] - Filtra por estado.
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de libros por página.
+ * @returns {Promise<object>} Un objeto con las entradas y el conteo total.
+ */
+export const findByUser = async (userId, status, page, limit) => {
+    const skip = (page - 1) * limit;
+    const filters = { user: userId };
+    if (status) filters.status = status;
+
+    const [entries, totalCount] = await Promise.all([
+        UserBook.find(filters)
+            .populate('book', BOOK_FIELDS)
+            .select('-user')
+            .sort({ updatedAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        UserBook.countDocuments(filters)
+    ]);
+
+    return { entries, totalCount };
+};
+
+/**
+ * Cantidad de libros de la biblioteca por estado.
+ * @param {string} userId - El ID del usuario.
+ * @returns {Promise<object[]>} `{ _id: status, count }` por estado.
+ */
+export const countByStatus = async (userId) => {
+    return await UserBook.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+};
+
+/**
+ * Busca la entrada de un libro en la biblioteca del usuario.
+ * @param {string} userId - El ID del usuario.
+ * @param {string} bookId - El ID del libro.
+ * @returns {Promise<object|null>} La entrada o null.
+ */
+export const findByUserAndBook = async (userId, bookId) => {
+    return await UserBook.findOne({ user: userId, book: bookId }).lean();
+};
+
+/**
+ * Crea o actualiza la entrada de un libro en la biblioteca del usuario.
+ * @param {string} userId - El ID del usuario.
+ * @param {string} bookId - El ID del libro.
+ * @param {object} data - Los campos a guardar.
+ * @returns {Promise<object>} La entrada guardada, con los datos del libro.
+ */
+export const upsert = async (userId, bookId, data) => {
+    return await UserBook.findOneAndUpdate(
+        { user: userId, book: bookId },
+        { $set: data },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    )
+        .populate('book', BOOK_FIELDS)
+        .lean();
+};
+
+/**
+ * Quita un libro de la biblioteca del usuario.
+ * @param {string} userId - El ID del usuario.
+ * @param {string} bookId - El ID del libro.
+ * @returns {Promise<object|null>} La entrada eliminada o null.
+ */
+export const remove = async (userId, bookId) => {
+    return await UserBook.findOneAndDelete({ user: userId, book: bookId });
+};
+
+/**
+ * Libros terminados por mes en un rango de fechas. Las páginas son las del libro
+ * o, si no las tiene cargadas, la última página registrada.
+ * @param {string} userId - El ID del usuario.
+ * @param {Date} from - Inicio del rango (incluido).
+ * @param {Date} to - Fin del rango (excluido).
+ * @returns {Promise<object[]>} `{ _id: mes (1-12), books, pages }` por mes con lecturas.
+ */
+export const getFinishedByMonth = async (userId, from, to) => {
+    return await UserBook.aggregate([
+        {
+            $match: {
+                user: new mongoose.Types.ObjectId(userId),
+                status: 'leido',
+                finishedAt: { $gte: from, $lt: to }
+            }
+        },
+        {
+            // Con let + pipeline (y no localField + pipeline, que requiere MongoDB 5.0)
+            $lookup: {
+                from: Book.collection.name,
+                let: { bookId: '$book' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$_id', '$$bookId'] } } },
+                    { $project: { paginas: 1 } }
+                ],
+                as: 'bookData'
+            }
+        },
+        {
+            $group: {
+                _id: { $month: '$finishedAt' },
+                books: { $sum: 1 },
+                pages: {
+                    $sum: { $ifNull: [{ $arrayElemAt: ['$bookData.paginas', 0] }, { $ifNull: ['$currentPage', 0] }] }
+                }
+            }
+        }
+    ]);
+};
+
+/**
+ * Pasa las entradas de biblioteca de un libro a otro (al fusionar duplicados). Si el
+ * usuario ya tenía el libro que queda, se conserva esa entrada y se borra la del duplicado.
+ * @param {string} fromBookId - El libro que desaparece.
+ * @param {string} toBookId - El libro que queda.
+ * @returns {Promise<number>} La cantidad de entradas movidas.
+ */
+export const moveToBook = async (fromBookId, toBookId) => {
+    const shelvedUsers = await UserBook.distinct('user', { book: toBookId });
+    const result = await UserBook.updateMany(
+        { book: fromBookId, user: { $nin: shelvedUsers } },
+        { $set: { book: toBookId } }
+    );
+    await UserBook.deleteMany({ book: fromBookId });
+    return result.modifiedCount;
+};
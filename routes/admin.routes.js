@@ -0,0 +1,33 @@
+// routes/admin.routes.js
+import { Router } from "express";
+import * as importController from "../controllers/import.controller.js";
+import * as jobController from "../controllers/job.controller.js";
+import * as linkHealthController from "../controllers/linkHealth.controller.js";
+import { verifyToken, isAdmin } from "../middlewares/auth.js";
+import { upload } from "../middlewares/upload.js";
+
+export const admin = Router();
+
+// Todas las rutas de administración requieren sesión de admin
+admin.use(verifyToken, isAdmin);
+
+// Importación masiva de libros (texto, CSV o JSON), procesada en segundo plano
+admin.post("/imports", upload.single('file'), importController.create);
+admin.get("/imports", importController.list);
+// Estado y resultado por fila (?status=created|skipped|error|pending)
+admin.get("/imports/:jobId", importController.findOne);
+
+// Tareas de mantenimiento en segundo plano
+admin.get("/jobs/types", jobController.listTypes);
+admin.post("/jobs", jobController.create);
+admin.get("/jobs", jobController.list);
+admin.get("/jobs/:jobId", jobController.findOne);
+// Errores por ítem (y de ejecuciones enteras) de una tarea
+admin.get("/jobs/:jobId/logs", jobController.logs);
+admin.post("/jobs/:jobId/pause", jobController.pause);
+admin.post("/jobs/:jobId/resume", jobController.resume);
+
+// Archivos caídos según la tarea link-health (?status=missing|error) y visibilidad en las búsquedas
+admin.get("/broken-links", linkHealthController.report);
+admin.post("/broken-links/hide", linkHealthController.hideBroken);
+admin.patch("/books/:idBook/visibility", linkHealthController.setVisibility);
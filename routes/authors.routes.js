@@ -0,0 +1,19 @@
+// routes/authors.routes.js
+import { Router } from "express";
+import * as authorController from "../controllers/author.controller.js";
+import { verifyToken, isAdmin, optionalToken } from "../middlewares/auth.js";
+
+export const authors = Router();
+
+// Listado de autores (con ?q= para buscar por nombre o alias)
+authors.get("/", authorController.list);
+
+// Página de un autor: datos, estadísticas y sus libros
+authors.get("/:slug", optionalToken, authorController.findOne);
+
+// Administración de autores (solo admin)
+authors.post("/", verifyToken, isAdmin, authorController.create);
+authors.post("/:idAuthor", verifyToken, isAdmin, authorController.update);
+
+// Fusiona el autor dentro de otro (body: { targetId }) y mueve todos sus libros
+authors.post("/:idAuthor/merge", verifyToken, isAdmin, authorController.merge);
@@ -0,0 +1,15 @@
+// routes/categories.routes.js
+import { Router } from "express";
+import * as categoryController from "../controllers/category.controller.js";
+import { verifyToken, isAdmin } from "../middlewares/auth.js";
+
+export const categories = Router();
+
+// Árbol de categorías con la cantidad de libros
+categories.get("/", categoryController.tree);
+
+// Administración de la taxonomía (solo admin). Los libros se reescriben en bloque.
+categories.post("/", verifyToken, isAdmin, categoryController.create);
+categories.post("/:idCategory/rename", verifyToken, isAdmin, categoryController.rename);
+categories.post("/:idCategory/merge", verifyToken, isAdmin, categoryController.merge);
+categories.post("/:idCategory/parent", verifyToken, isAdmin, categoryController.setParent);
@@ -1,19 +1,41 @@
 // routes/books.js
 import { Router } from "express";
 import * as bookController from "../controllers/book.controller.js";
+import * as commentController from "../controllers/comment.controller.js";
+import * as duplicateController from "../controllers/duplicate.controller.js";
+import { verifyToken, isAdmin, optionalToken } from "../middlewares/auth.js";
 
 export const books = Router();
 
 //nuevo buscador de libros mas especifico y profesional
+// optionalToken: `access.canDownload` de cada libro depende del plan del usuario
 
-books.get("/buscadormejorado", bookController.buscarBooks);
+books.get("/buscadormejorado", optionalToken, bookController.buscarBooks);
 
+// Autocompletado liviano para la barra de búsqueda
+books.get("/suggest", bookController.suggest);
+
+
+// Tendencias y más descargados (?window=24h|7d|30d&by=score|downloads)
+books.get("/trending", optionalToken, bookController.trending);
+
+// Posibles duplicados para revisar (solo admin, ?reason=checksum|titleAuthor|fileSize)
+books.get("/duplicates", verifyToken, isAdmin, duplicateController.list);
 
 // Ruta para obtener todos los libros
-books.get("/", bookController.findAll);
-books.get("/search", bookController.searchBooks);
-// Ruta para obtener un libro por su ID
-books.get("/:idBook", bookController.findOne);
+books.get("/", optionalToken, bookController.findAll);
+books.get("/search", optionalToken, bookController.searchBooks);
+// Ruta para obtener un libro por su ID (con sesión se incluyen los datos de descarga si el plan lo permite)
+books.get("/:idBook", optionalToken, bookController.findOne);
+
+// Libros similares (categorías, autor, idioma y co-calificaciones)
+books.get("/:idBook/similar", optionalToken, bookController.similar);
+
+// Link de descarga (controla plan y cuota, y registra la descarga)
+books.post("/:idBook/download-link", verifyToken, bookController.downloadLink);
+
+// Descarga del archivo por stream desde el servidor (controla plan y cuota; acepta Range)
+books.get("/:idBook/download", verifyToken, bookController.download);
 
 // Ruta para crear un nuevo libro
 books.post("/", bookController.create);
@@ -24,5 +46,15 @@ books.post("/:idBook", bookController.update);
 // Ruta para eliminar un libro por su ID
 books.delete("/:idBook", bookController.remove);
 
+// Fusiona duplicados en este libro: recibe sus calificaciones, favoritos, comentarios y archivos (solo admin)
+books.post("/:idBook/merge", verifyToken, isAdmin, duplicateController.merge);
 
+// Comentarios de un libro (usuarios logueados)
+books.get("/:idBook/comments", verifyToken, commentController.list);
+books.post("/:idBook/comments", verifyToken, commentController.create);
+books.put("/:idBook/comments/:idComment", verifyToken, commentController.update);
+books.delete("/:idBook/comments/:idComment", verifyToken, commentController.remove);
 
+// Moderación de comentarios (solo admin)
+books.post("/:idBook/comments/:idComment/hide", verifyToken, isAdmin, commentController.hide);
+books.post("/:idBook/comments/:idComment/restore", verifyToken, isAdmin, commentController.restore);
@@ -0,0 +1,13 @@
+// routes/series.routes.js
+import { Router } from "express";
+import * as seriesController from "../controllers/series.controller.js";
+import { verifyToken, isAdmin } from "../middlewares/auth.js";
+
+export const series = Router();
+
+// Saga con sus volúmenes en orden
+series.get("/:slug", seriesController.findOne);
+
+// Administración de sagas (solo admin). Los libros se asignan con `series` y `seriesIndex` en POST /books/:idBook
+series.post("/", verifyToken, isAdmin, seriesController.create);
+series.post("/:idSeries", verifyToken, isAdmin, seriesController.update);
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import * as telegramController from '../controllers/telegram.controller.js';
 import { upload } from '../middlewares/upload.js'; // Importamos el middleware
+import { verifyToken, isAdmin } from '../middlewares/auth.js';
 
 
 const telegramRoutes = Router();
@@ -12,10 +13,11 @@ telegramRoutes.get('/channels', telegramController.listChats)
 telegramRoutes.post('/upload', upload.single('file'), telegramController.handleUploadFile);
 
 // Endpoint para reenviar un archivo ya existente en los servidores de Telegram
-telegramRoutes.post('/resend', telegramController.handleResendFile);
+telegramRoutes.post('/resend', verifyToken, telegramController.handleResendFile);
 
-// Ruta para obtener el link de descarga temporal
-telegramRoutes.post('/get-download-link', telegramController.handleGetDownloadLink);
+// Link de descarga directo de la API de Telegram. Solo uso interno (admins): el link lleva el
+// token del bot. Los usuarios descargan por GET /books/:idBook/download
+telegramRoutes.post('/get-download-link', verifyToken, isAdmin, telegramController.handleGetDownloadLink);
 
 
 
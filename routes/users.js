@@ -1,5 +1,7 @@
 import { Router } from "express";
-import {register, login, update, remove} from "../controllers/user.controller.js"
+import {register, login, update, remove, listFavorites, addFavorite, removeFavorite, listDownloads, listRecommendations} from "../controllers/user.controller.js"
+import * as shelfController from "../controllers/shelf.controller.js";
+import { verifyToken } from "../middlewares/auth.js";
 export const users = Router();
 
 users.post("/register", register);
@@ -10,4 +12,20 @@ users.post("/update/:idUser", update);
 
 users.delete("/delete/idUser", remove);
 
+// Favoritos del usuario logueado
+users.get("/me/favorites", verifyToken, listFavorites);
+users.put("/me/favorites/:bookId", verifyToken, addFavorite);
+users.delete("/me/favorites/:bookId", verifyToken, removeFavorite);
 
+// Historial de descargas y estado de la cuota del plan
+users.get("/me/downloads", verifyToken, listDownloads);
+
+// Recomendaciones según calificaciones, favoritos y descargas
+users.get("/me/recommendations", verifyToken, listRecommendations);
+
+// Biblioteca personal (estantes por estado de lectura); :bookId acepta slug o ID
+users.get("/me/shelf", verifyToken, shelfController.list);
+users.get("/me/shelf/stats", verifyToken, shelfController.stats);
+users.get("/me/shelf/:bookId", verifyToken, shelfController.findOne);
+users.put("/me/shelf/:bookId", verifyToken, shelfController.save);
+users.delete("/me/shelf/:bookId", verifyToken, shelfController.remove);
@@ -0,0 +1,103 @@
+// services/access.service.js
+// Política de acceso a las descargas según el plan del usuario (claims `plan` e
+// `isSubscribed` del JWT): los libros premium piden plan lector y los exclusivos, erudito.
+
+// Orden de los planes: cada uno incluye lo de los anteriores
+const PLAN_LEVELS = { free: 0, lector: 1, erudito: 2 };
+
+// Campos que permiten descargar el archivo o dicen dónde está guardado (se ocultan si no hay acceso)
+const PROTECTED_FIELDS = ['link', 'ouo', 'telegram'];
+const PROTECTED_FILE_FIELDS = ['link', 'telegram', 'path', 'health'];
+
+/**
+ * Plan mínimo para descargar un libro.
+ * @param {object} book - El libro (usa `isPremium` e `isExclusive`).
+ * @returns {string|null} 'lector', 'erudito' o null si es libre.
+ */
+export const getRequiredPlan = (book) => {
+  if (book.isExclusive) return 'erudito';
+  if (book.isPremium) return 'lector';
+  return null;
+};
+
+/**
+ * Plan vigente del usuario: sin suscripción activa cuenta como 'free'.
+ * @param {object} [user] - El req.user del JWT (undefined si es anónimo).
+ * @returns {string} El plan vigente.
+ */
+export const getEffectivePlan = (user) => {
+  if (!user || !user.isSubscribed) return 'free';
+  return PLAN_LEVELS[user.plan] !== undefined ? user.plan : 'free';
+};
+
+/**
+ * Plan siguiente al indicado, para sugerir una mejora.
+ * @param {string} plan - El plan actual.
+ * @returns {string|null} El plan superior o null si ya es el más alto.
+ */
+export const getNextPlan = (plan) => {
+  const level = PLAN_LEVELS[plan] ?? 0;
+  return Object.keys(PLAN_LEVELS).find(candidate => PLAN_LEVELS[candidate] === level + 1) || null;
+};
+
+/**
+ * Decide si el usuario puede descargar el libro.
+ * Sin sesión o sin suscripción activa responde 402 (hace falta pagar un plan);
+ * con un plan activo pero menor al requerido, 403 (hace falta mejorar el plan).
+ * @param {object} [user] - El req.user del JWT.
+ * @param {object} book - El libro.
+ * @returns {object} `{ allowed: true }` o `{ allowed: false, status, message, upgrade }`.
+ */
+export const checkDownloadAccess = (user, book) => {
+  const requiredPlan = getRequiredPlan(book);
+  if (!requiredPlan || user?.role === 'admin') return { allowed: true };
+
+  const currentPlan = getEffectivePlan(user);
+  if (PLAN_LEVELS[currentPlan] >= PLAN_LEVELS[requiredPlan]) return { allowed: true };
+
+  const upgrade = { requiredPlan, currentPlan };
+  if (currentPlan === 'free') {
+    return {
+      allowed: false,
+      status: 402,
+      message: `Este libro requiere una suscripción activa al plan ${requiredPlan} o superior.`,
+      upgrade
+    };
+  }
+  return {
+    allowed: false,
+    status: 403,
+    message: `Tu plan ${currentPlan} no incluye este libro: mejorá al plan ${requiredPlan}.`,
+    upgrade
+  };
+};
+
+/**
+ * Quita de un libro los datos de descarga y agrega `access: { canDownload, requiredPlan }`
+ * para que el cliente muestre el aviso de plan. Los links solo se entregan por
+ * `POST /books/:idBook/download-link`, que además controla la cuota; los admins
+ * los siguen viendo para poder editarlos.
+ * @param {object} book - El libro (documento de Mongoose u objeto plano).
+ * @param {object} [user] - El req.user del JWT.
+ * @returns {object} Una copia del libro apta para la respuesta.
+ */
+export const redactBook = (book, user) => {
+  if (!book) return book;
+
+  const plain = typeof book.toObject === 'function' ? book.toObject() : { ...book };
+  const canDownload = checkDownloadAccess(user, plain).allowed;
+  plain.access = { canDownload, requiredPlan: getRequiredPlan(plain) };
+  if (user?.role === 'admin') return plain;
+
+  for (const field of PROTECTED_FIELDS) delete plain[field];
+  if (Array.isArray(plain.files)) {
+    plain.files = plain.files.map(file => {
+      const visible = { ...file };
+      for (const field of PROTECTED_FILE_FIELDS) delete visible[field];
+      return visible;
+    });
+  }
+  return plain;
+};
+
+export const redactBooks = (books, user) => books.map(book => redactBook(book, user));
@@ -0,0 +1,176 @@
+// services/author.service.js
+import * as authorRepository from "../repositories/author.repository.js";
+import * as bookRepository from "../repositories/book.repository.js";
+import { buildNameKey, buildUniqueSlug } from "../utils/search.utils.js";
+
+// Valores de relleno que no corresponden a un autor real
+const UNKNOWN_AUTHOR_KEYS = new Set(['autor desconocido', 'desconocido', 'n/a', 'sin autor']);
+
+const EMPTY_STATS = { totalBooks: 0, averageRating: 0, totalRatingsCount: 0 };
+
+const generateAuthorSlug = (nombre) => buildUniqueSlug(nombre, authorRepository.slugExists, 'autor');
+
+/**
+ * Devuelve el autor que corresponde al nombre (por nombre o alias), creándolo si no existe.
+ * @param {string} nombre - El nombre tal como viene en el libro.
+ * @returns {Promise<object|null>} El autor, o null si el nombre está vacío o es un relleno.
+ */
+export const findOrCreateAuthor = async (nombre) => {
+  const key = buildNameKey(nombre);
+  if (!key || UNKNOWN_AUTHOR_KEYS.has(key)) return null;
+
+  const existing = await authorRepository.findByName(nombre);
+  if (existing) return existing;
+
+  try {
+    return await authorRepository.create({
+      nombre: nombre.trim(),
+      slug: await generateAuthorSlug(nombre)
+    });
+  } catch (error) {
+    // Otro request lo creó al mismo tiempo: usamos ese
+    if (error.code === 11000) return await authorRepository.findByName(nombre);
+    throw error;
+  }
+};
+
+/**
+ * IDs de los autores cuyo nombre o alias coincide con el filtro de autor del buscador.
+ * @param {string} nombre - El texto del filtro.
+ * @returns {Promise<object[]>} Los IDs.
+ */
+export const findAuthorIdsByName = async (nombre) => {
+  return await authorRepository.findIdsMatchingName(nombre);
+};
+
+/**
+ * Vincula con su autor a los libros cargados antes de que existieran los autores.
+ * @returns {Promise<number>} La cantidad de libros vinculados.
+ */
+export const backfillBookAuthors = async () => {
+  let linked = 0;
+  for await (const book of bookRepository.findWithoutAuthorRef()) {
+    const author = await findOrCreateAuthor(book.autor);
+    if (!author) continue;
+
+    await bookRepository.setAuthorRef(book._id, author._id);
+    linked++;
+  }
+  return linked;
+};
+
+export const listAuthors = async (q, page, limit) => {
+  const { authors, totalCount } = await authorRepository.findAll(q, page, limit);
+  const stats = await bookRepository.getAuthorStats(authors.map(author => author._id));
+
+  return {
+    authors: authors.map(author => ({
+      ...author,
+      stats: stats.get(author._id.toString()) || EMPTY_STATS
+    })),
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+export const getAuthorPage = async (slug, page, limit) => {
+  const author = await authorRepository.findBySlug(slug);
+  if (!author) {
+    throw new Error('Autor no encontrado.');
+  }
+
+  const [{ books, totalCount }, stats] = await Promise.all([
+    bookRepository.findByAuthor(author._id, page, limit),
+    bookRepository.getAuthorStats([author._id])
+  ]);
+
+  return {
+    author,
+    stats: stats.get(author._id.toString()) || EMPTY_STATS,
+    books,
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+export const createAuthor = async ({ nombre, aliases = [], bio, foto }) => {
+  if (await authorRepository.findByName(nombre)) {
+    throw new Error('El autor ya existe.');
+  }
+
+  return await authorRepository.create({
+    nombre,
+    aliases,
+    bio,
+    foto,
+    slug: await generateAuthorSlug(nombre)
+  });
+};
+
+export const updateAuthor = async (id, { nombre, aliases, bio, foto }) => {
+  const author = await authorRepository.findDocumentById(id);
+  if (!author) {
+    throw new Error('Autor no encontrado.');
+  }
+
+  // El slug no cambia para no romper las URLs ya publicadas
+  if (nombre !== undefined) author.nombre = nombre;
+  if (aliases !== undefined) author.aliases = aliases;
+  if (bio !== undefined) author.bio = bio;
+  if (foto !== undefined) author.foto = foto;
+
+  try {
+    return await authorRepository.save(author);
+  } catch (error) {
+    if (error.code === 11000) throw new Error('El autor ya existe.');
+    throw error;
+  }
+};
+
+/**
+ * Fusiona dos autores: los libros del origen pasan al destino, el nombre y los
+ * alias del origen quedan como alias del destino y el origen se elimina.
+ * @param {string} sourceId - El autor que desaparece.
+ * @param {string} targetId - El autor que queda.
+ * @returns {Promise<object>} El autor resultante y la cantidad de libros movidos.
+ */
+export const mergeAuthors = async (sourceId, targetId) => {
+  if (!sourceId || !targetId || sourceId.toString() === targetId.toString()) {
+    throw new Error('Se requieren dos autores distintos para fusionar.');
+  }
+
+  const [source, target] = await Promise.all([
+    authorRepository.findDocumentById(sourceId),
+    authorRepository.findDocumentById(targetId)
+  ]);
+  if (!source || !target) {
+    throw new Error('Autor no encontrado.');
+  }
+
+  // Alias nuevos del destino, sin repetir su propio nombre ni claves ya conocidas
+  const knownKeys = new Set([target.nameKey, ...target.aliasKeys]);
+  for (const name of [source.nombre, ...source.aliases]) {
+    const key = buildNameKey(name);
+    if (key && !knownKeys.has(key)) {
+      target.aliases.push(name);
+      knownKeys.add(key);
+    }
+  }
+  if (!target.bio && source.bio) target.bio = source.bio;
+  if (!target.foto && source.foto) target.foto = source.foto;
+
+  // Primero se mueven los libros, así ninguno queda apuntando a un autor eliminado
+  const movedBooks = await bookRepository.relinkAuthor(source._id, target._id);
+  await authorRepository.findByIdAndRemove(source._id);
+  const author = await authorRepository.save(target);
+
+  return { author, movedBooks };
+};
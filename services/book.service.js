@@ -1,21 +1,167 @@
 // services/book.service.js
 import * as bookRepository from "../repositories/book.repository.js";
+import * as userRepository from "../repositories/user.repository.js";
+import { findOrCreateAuthor, findAuthorIdsByName } from "./author.service.js";
+import { mapToCanonicalCategories } from "./category.service.js";
+import { getSeriesInfo, resolveSeriesId } from "./series.service.js";
+import { resolveWindow } from "./trending.service.js";
+import { invalidateSimilar } from "./similar.service.js";
+import { normalizeText, slugify, buildUniqueSlug } from "../utils/search.utils.js";
+import { withLegacyFiles } from "../utils/file.utils.js";
+
+// Presupuesto de tiempo de cada consulta del autocompletado (se ejecutan en paralelo)
+const SUGGEST_MAX_TIME_MS = 300;
+// Largo mínimo del texto para empezar a sugerir
+const SUGGEST_MIN_LENGTH = 2;
 
 export const findAllBooks = async (page, limit) => {
   return await bookRepository.findAll(page, limit);
 };
 
-export const findBookById = async (slugOrId) => {
+export const findAllBooksByCursor = async (cursor, limit, withCount) => {
+  return await bookRepository.findAllByCursor(cursor, limit, withCount);
+};
+
+//slugs de los libros
+
+// Genera un slug único a partir del título: "el-tunel", "el-tunel-2", ...
+// El libro que se está editando (excludeId) puede conservar su slug.
+const generateUniqueSlug = (titulo, excludeId) => buildUniqueSlug(
+  titulo,
+  (candidate) => bookRepository.slugExists(candidate, excludeId),
+  'libro'
+);
+
+/**
+ * Si el libro se pidió con un slug anterior o con la URL vieja `titulo-<id>`,
+ * devuelve el slug actual al que hay que redirigir. Con el ID solo no redirige.
+ * @param {string} requested - Lo que vino en la URL.
+ * @param {object} book - El libro encontrado.
+ * @returns {string|null} El slug canónico o null si no hace falta redirigir.
+ */
+export const getCanonicalRedirect = (requested, book) => {
+  if (!book.slug || requested === book.slug || bookRepository.isObjectIdString(requested)) {
+    return null;
+  }
+  return book.slug;
+};
+
+/**
+ * Asigna slug a los libros creados antes de que existiera el campo.
+ * @returns {Promise<number>} La cantidad de libros actualizados.
+ */
+export const backfillSlugs = async () => {
+  let updated = 0;
+  for await (const book of bookRepository.findWithoutSlug()) {
+    const slug = await generateUniqueSlug(book.titulo, book._id);
+    await bookRepository.findByIdAndUpdate(book._id, { slug });
+    updated++;
+  }
+  return updated;
+};
+
+//ediciones (archivos) de los libros
+
+/**
+ * Pasa a `files` el archivo principal de los libros cargados antes de las ediciones.
+ * @returns {Promise<number>} La cantidad de libros actualizados.
+ */
+export const backfillBookFiles = async () => {
+  let updated = 0;
+  for await (const book of bookRepository.findWithoutFiles()) {
+    const files = withLegacyFiles([], book);
+    if (files.length === 0) continue;
+
+    await bookRepository.findByIdAndUpdate(book._id, { files });
+    updated++;
+  }
+  return updated;
+};
+
+/**
+ * Busca el libro con ese título (sin distinguir acentos ni mayúsculas), para
+ * agregarle una edición en lugar de crear otro libro.
+ * @param {string} titulo - El título del libro.
+ * @returns {Promise<object|null>} El libro o null.
+ */
+export const findBookByTitle = async (titulo) => {
+  return await bookRepository.findByTitle(titulo);
+};
+
+/**
+ * Busca el libro al que pertenece un archivo de Telegram, para aplicar su política de acceso.
+ * @param {string} fileId - El file_id de Telegram.
+ * @returns {Promise<object|null>} El libro o null.
+ */
+export const findBookByTelegramFileId = async (fileId) => {
+  return await bookRepository.findByTelegramFileId(fileId);
+};
+
+/**
+ * Agrega una edición a un libro existente.
+ * @param {string} bookId - El ID del libro.
+ * @param {object} fileData - `{ format, fileSize, mimeType, checksum, storage, link | telegram }`.
+ * @returns {Promise<object>} El libro actualizado.
+ */
+export const addBookFile = async (bookId, fileData, fields) => {
+  return await bookRepository.addFile(bookId, fileData, fields);
+};
+
+// La saga de un libro se puede indicar por slug o ID, pero tiene que existir
+const validateSeries = async (slugOrId) => {
+  const seriesId = await resolveSeriesId(slugOrId);
+  if (!seriesId) {
+    throw new Error("Saga no encontrada.");
+  }
+  return seriesId;
+};
+
+export const findBookById = async (slugOrId, userId) => {
   // Llama a la nueva función que puede manejar la extracción del ID del slug.
   //console.log("Servicio - findBookById llamado con:", slugOrId);
   const res = await bookRepository.findBySlugOrId(slugOrId);
   //console.log("Servicio - Resultado de la búsqueda:", res);
-  return res;
+  if (!res || (!userId && !res.series)) return res;
+
+  const [isFavorite, seriesInfo] = await Promise.all([
+    // Con sesión iniciada indicamos si el libro está en sus favoritos
+    userId ? userRepository.isFavorite(userId, res._id) : undefined,
+    // Si pertenece a una saga, agregamos los volúmenes anterior y siguiente
+    getSeriesInfo(res)
+  ]);
+
+  const book = res.toObject();
+  if (userId) book.isFavorite = isFavorite;
+  if (seriesInfo) book.seriesInfo = seriesInfo;
+  return book;
 };
 
 export const createBook = async (bookData) => {
   try {
-    return await bookRepository.create(bookData);
+    // El slug siempre se deriva del título
+    const { slug, slugHistory, ...data } = bookData;
+    if (data.titulo) {
+      data.slug = await generateUniqueSlug(data.titulo);
+    }
+    // Vinculamos el libro con su autor (se crea si es nuevo)
+    const author = await findOrCreateAuthor(data.autor);
+    if (author) data.autorRef = author._id;
+    // Las categorías se guardan con su nombre canónico
+    if (data.categorias !== undefined) {
+      data.categorias = await mapToCanonicalCategories(data.categorias);
+    }
+    if (data.series) {
+      data.series = await validateSeries(data.series);
+    }
+    // El archivo principal también queda registrado como edición
+    data.files = withLegacyFiles(data.files || [], data);
+
+    const newBook = await bookRepository.create(data);
+    // Un libro nuevo puede ser similar a los de sus categorías
+    if (newBook.categorias.length > 0) {
+      await invalidateSimilar({ categorias: newBook.categorias });
+    }
+    return newBook;
 
   } catch (error) {
     console.error("Error en la función createBook:", error);
@@ -24,11 +170,57 @@ export const createBook = async (bookData) => {
 };
 
 export const updateBook = async (id, updateData) => {
-  return await bookRepository.findByIdAndUpdate(id, updateData);
+  // El slug no se edita a mano: se regenera si cambia el título
+  const { slug, slugHistory, ...data } = updateData;
+
+  const needsCurrent = data.titulo || data.categorias !== undefined ||
+    (data.files === undefined && (data.link || data.telegram));
+  const current = needsCurrent ? await bookRepository.findById(id) : null;
+  if (needsCurrent && !current) return null;
+
+  if (data.titulo) {
+    const newSlug = await generateUniqueSlug(data.titulo, id);
+    if (newSlug !== current.slug) {
+      data.slug = newSlug;
+      // El slug anterior queda en el historial para redirigir las URLs viejas
+      data.slugHistory = [...(current.slugHistory || []), current.slug]
+        .filter(old => old && old !== newSlug);
+    }
+  }
+
+  // Si cambia el autor escrito, se vuelve a vincular
+  if (data.autor !== undefined) {
+    const author = await findOrCreateAuthor(data.autor);
+    data.autorRef = author ? author._id : null;
+  }
+  if (data.categorias !== undefined) {
+    data.categorias = await mapToCanonicalCategories(data.categorias);
+  }
+  // Un link o archivo de Telegram nuevo se suma a las ediciones existentes
+  if (data.files === undefined && (data.link || data.telegram)) {
+    const files = withLegacyFiles(current.files || [], { ...current, ...data });
+    if (files.length !== (current.files || []).length) data.files = files;
+  }
+  // series vacío o null quita el libro de la saga
+  if (data.series !== undefined) {
+    data.series = data.series ? await validateSeries(data.series) : null;
+  }
+
+  const updatedBook = await bookRepository.findByIdAndUpdate(id, data);
+  // Cambiaron las categorías: se recalculan los similares del libro y de los que comparten alguna
+  if (updatedBook && data.categorias !== undefined) {
+    await invalidateSimilar({
+      bookIds: [updatedBook._id],
+      categorias: [...new Set([...(current.categorias || []), ...data.categorias])]
+    });
+  }
+  return updatedBook;
 };
 
 export const deleteBook = async (id) => {
-  return await bookRepository.findByIdAndRemove(id);
+  const deletedBook = await bookRepository.findByIdAndRemove(id);
+  if (deletedBook) await invalidateSimilar({ bookIds: [deletedBook._id] });
+  return deletedBook;
 };
 
 export const searchBooksService = async (query, page, limit) => {
@@ -38,5 +230,39 @@ export const searchBooksService = async (query, page, limit) => {
 
 //buscador de libros mas especifico y profesional
 export const buscarBooks = async (filters) => {
-  return await bookRepository.searchBooks(filters);
-};
\ No newline at end of file
+  // El filtro de autor también incluye los libros de autores con ese nombre o alias
+  const autorIds = filters.autor ? await findAuthorIdsByName(filters.autor) : [];
+  // La saga se puede filtrar por slug o por ID
+  const seriesId = filters.series ? await resolveSeriesId(filters.series) : null;
+  const window = filters.sort === 'trending' ? resolveWindow(filters.window) : undefined;
+  return await bookRepository.searchBooks({ ...filters, autorIds, seriesId, window });
+};
+
+
+//autocompletado: sugerencias agrupadas de títulos, autores y categorías
+export const suggest = async (q, limit) => {
+  const empty = { titulos: [], autores: [], categorias: [] };
+  if (normalizeText(q).length < SUGGEST_MIN_LENGTH) return empty;
+
+  // Si un grupo supera el presupuesto de tiempo se devuelve vacío en lugar de fallar todo
+  const withinBudget = (promise) => promise.catch((error) => {
+    console.error("Error en sugerencias:", error.message);
+    return [];
+  });
+
+  const [titulos, autores, categorias] = await Promise.all([
+    withinBudget(bookRepository.suggestTitles(q, limit, SUGGEST_MAX_TIME_MS)),
+    withinBudget(bookRepository.suggestAuthors(q, limit, SUGGEST_MAX_TIME_MS)),
+    withinBudget(bookRepository.suggestCategories(q, limit, SUGGEST_MAX_TIME_MS))
+  ]);
+
+  return {
+    titulos: titulos.map(book => ({
+      ...book,
+      // Libros todavía sin slug: formato viejo `titulo-<id>`, que sigue resolviendo
+      slug: book.slug || `${slugify(book.titulo)}-${book._id}`
+    })),
+    autores,
+    categorias
+  };
+};
@@ -0,0 +1,252 @@
+// services/category.service.js
+import * as categoryRepository from "../repositories/category.repository.js";
+import * as bookRepository from "../repositories/book.repository.js";
+import { buildCategoryKey, buildUniqueSlug } from "../utils/search.utils.js";
+import { invalidateSimilar } from "./similar.service.js";
+
+const generateCategorySlug = (nombre, excludeId) => buildUniqueSlug(
+  nombre,
+  (candidate) => categoryRepository.slugExists(candidate, excludeId),
+  'categoria'
+);
+
+// Verifica que el padre exista y que no se forme un ciclo (la categoría no puede
+// quedar debajo de sí misma ni de una de sus subcategorías)
+const validateParent = async (categoryId, parentId) => {
+  if (!parentId) return;
+
+  let currentId = parentId;
+  while (currentId) {
+    if (categoryId && currentId.toString() === categoryId.toString()) {
+      throw new Error('Una categoría no puede quedar dentro de sí misma o de una subcategoría.');
+    }
+    const current = await categoryRepository.findParentOf(currentId);
+    if (!current) {
+      throw new Error('Categoría no encontrada.');
+    }
+    currentId = current.parent;
+  }
+};
+
+// Indica si `categoryId` está debajo de `ancestorId` en el árbol
+const isDescendantOf = async (categoryId, ancestorId) => {
+  let current = await categoryRepository.findParentOf(categoryId);
+  while (current && current.parent) {
+    if (current.parent.toString() === ancestorId.toString()) return true;
+    current = await categoryRepository.findParentOf(current.parent);
+  }
+  return false;
+};
+
+/**
+ * Devuelve la categoría que corresponde al nombre (por nombre o alias), creándola
+ * como categoría de primer nivel si no existe.
+ * @param {string} nombre - El nombre tal como viene en el libro.
+ * @returns {Promise<object|null>} La categoría, o null si el nombre está vacío.
+ */
+export const findOrCreateCategory = async (nombre) => {
+  if (!buildCategoryKey(nombre)) return null;
+
+  const existing = await categoryRepository.findByName(nombre);
+  if (existing) return existing;
+
+  try {
+    return await categoryRepository.create({
+      nombre: nombre.trim(),
+      slug: await generateCategorySlug(nombre)
+    });
+  } catch (error) {
+    // Otro request la creó al mismo tiempo: usamos esa
+    if (error.code === 11000) return await categoryRepository.findByName(nombre);
+    throw error;
+  }
+};
+
+/**
+ * Convierte las categorías recibidas en un libro a sus nombres canónicos.
+ * Acepta un array o un texto separado por comas (formularios multipart).
+ * @param {string[]|string} categorias - Las categorías tal como llegan.
+ * @returns {Promise<string[]>} Los nombres canónicos, sin repetir.
+ */
+export const mapToCanonicalCategories = async (categorias) => {
+  const list = Array.isArray(categorias)
+    ? categorias
+    : (categorias || '').split(',');
+
+  const canonical = [];
+  for (const nombre of list) {
+    if (typeof nombre !== 'string') continue;
+    const category = await findOrCreateCategory(nombre);
+    if (category && !canonical.includes(category.nombre)) {
+      canonical.push(category.nombre);
+    }
+  }
+  return canonical;
+};
+
+/**
+ * Crea las categorías que usan los libros y unifica las variantes de un mismo
+ * nombre ("Ciencia ficción" / "ciencia-ficcion") en su nombre canónico.
+ * @returns {Promise<number>} La cantidad de libros reescritos.
+ */
+export const backfillCategories = async () => {
+  const names = await bookRepository.findDistinctCategories();
+
+  let rewritten = 0;
+  for (const nombre of names) {
+    const category = await findOrCreateCategory(nombre);
+    if (category && category.nombre !== nombre) {
+      rewritten += await bookRepository.replaceCategories([nombre], category.nombre);
+    }
+  }
+  return rewritten;
+};
+
+/**
+ * Árbol de categorías con la cantidad de libros de cada una (`bookCount`) y la
+ * suma incluyendo sus subcategorías (`totalBookCount`).
+ * @returns {Promise<object[]>} Las categorías de primer nivel con sus `children`.
+ */
+export const getCategoryTree = async () => {
+  const [categories, counts] = await Promise.all([
+    categoryRepository.findAll(),
+    bookRepository.countByCategory()
+  ]);
+
+  // Cada texto de los libros se asigna a la categoría de su nombre o alias
+  const byKey = new Map();
+  const nodes = new Map();
+  for (const category of categories) {
+    const node = {
+      _id: category._id,
+      nombre: category.nombre,
+      slug: category.slug,
+      parent: category.parent,
+      bookCount: 0,
+      totalBookCount: 0,
+      children: []
+    };
+    nodes.set(category._id.toString(), node);
+    byKey.set(category.nameKey, node);
+    for (const key of category.aliasKeys) {
+      if (!byKey.has(key)) byKey.set(key, node);
+    }
+  }
+  for (const { _id: nombre, count } of counts) {
+    const node = byKey.get(buildCategoryKey(nombre));
+    if (node) node.bookCount += count;
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  const sumTotals = (node) => {
+    node.totalBookCount = node.bookCount + node.children.reduce((sum, child) => sum + sumTotals(child), 0);
+    return node.totalBookCount;
+  };
+  roots.forEach(sumTotals);
+
+  return roots;
+};
+
+export const createCategory = async ({ nombre, parentId }) => {
+  if (await categoryRepository.findByName(nombre)) {
+    throw new Error('La categoría ya existe.');
+  }
+  await validateParent(null, parentId);
+
+  return await categoryRepository.create({
+    nombre,
+    parent: parentId || null,
+    slug: await generateCategorySlug(nombre)
+  });
+};
+
+/**
+ * Renombra una categoría y reescribe los libros que la usan.
+ * El nombre anterior queda como alias para seguir mapeándolo.
+ */
+export const renameCategory = async (id, nombre) => {
+  const category = await categoryRepository.findDocumentById(id);
+  if (!category) {
+    throw new Error('Categoría no encontrada.');
+  }
+
+  const other = await categoryRepository.findByName(nombre);
+  if (other && other._id.toString() !== category._id.toString()) {
+    throw new Error('La categoría ya existe.');
+  }
+
+  const oldNames = [category.nombre, ...category.aliases];
+  if (!category.aliases.includes(category.nombre)) {
+    category.aliases.push(category.nombre);
+  }
+  category.nombre = nombre;
+  category.slug = await generateCategorySlug(nombre, category._id);
+  await categoryRepository.save(category);
+
+  const updatedBooks = await bookRepository.replaceCategories(oldNames, category.nombre);
+  await invalidateSimilar({ categorias: [...oldNames, category.nombre] });
+  return { category, updatedBooks };
+};
+
+/**
+ * Fusiona una categoría dentro de otra: los libros y las subcategorías pasan al
+ * destino, el nombre y los alias del origen quedan como alias del destino y el
+ * origen se elimina.
+ */
+export const mergeCategories = async (sourceId, targetId) => {
+  if (!sourceId || !targetId || sourceId.toString() === targetId.toString()) {
+    throw new Error('Se requieren dos categorías distintas para fusionar.');
+  }
+
+  const [source, target] = await Promise.all([
+    categoryRepository.findDocumentById(sourceId),
+    categoryRepository.findDocumentById(targetId)
+  ]);
+  if (!source || !target) {
+    throw new Error('Categoría no encontrada.');
+  }
+
+  // Si el destino estaba debajo del origen, sube al lugar del origen para no formar un ciclo
+  if (await isDescendantOf(target._id, source._id)) {
+    target.parent = source.parent;
+  }
+
+  const knownKeys = new Set([target.nameKey, ...target.aliasKeys]);
+  for (const name of [source.nombre, ...source.aliases]) {
+    const key = buildCategoryKey(name);
+    if (key && !knownKeys.has(key)) {
+      target.aliases.push(name);
+      knownKeys.add(key);
+    }
+  }
+
+  await categoryRepository.save(target);
+  await categoryRepository.reparentChildren(source._id, target._id);
+  const updatedBooks = await bookRepository.replaceCategories(
+    [source.nombre, ...source.aliases],
+    target.nombre
+  );
+
+  await invalidateSimilar({ categorias: [source.nombre, ...source.aliases, target.nombre] });
+
+  // El origen se elimina al final: si algo falla antes, no se pierde nada
+  await categoryRepository.findByIdAndRemove(source._id);
+  return { category: target, updatedBooks };
+};
+
+export const setCategoryParent = async (id, parentId) => {
+  const category = await categoryRepository.findDocumentById(id);
+  if (!category) {
+    throw new Error('Categoría no encontrada.');
+  }
+
+  await validateParent(category._id, parentId);
+  category.parent = parentId || null;
+  return await categoryRepository.save(category);
+};
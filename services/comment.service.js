@@ -0,0 +1,75 @@
+// services/comment.service.js
+import * as commentRepository from "../repositories/comment.repository.js";
+import * as bookRepository from "../repositories/book.repository.js";
+
+// Resuelve el libro a partir del slug o ID recibido en la URL
+const resolveBook = async (slugOrId) => {
+  const book = await bookRepository.findBySlugOrId(slugOrId);
+  if (!book) {
+    throw new Error('Libro no encontrado.');
+  }
+  return book;
+};
+
+// Verifica que el comentario exista y pertenezca al libro indicado
+const findCommentOfBook = async (bookId, commentId) => {
+  const comment = await commentRepository.findById(commentId);
+  if (!comment || comment.book.toString() !== bookId.toString()) {
+    throw new Error('Comentario no encontrado.');
+  }
+  return comment;
+};
+
+export const listComments = async (slugOrId, page, limit, isAdmin) => {
+  const book = await resolveBook(slugOrId);
+  const { comments, totalCount } = await commentRepository.findByBook(book._id, page, limit, isAdmin);
+
+  return {
+    comments,
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+export const createComment = async (slugOrId, userId, text) => {
+  const book = await resolveBook(slugOrId);
+  return await commentRepository.create({ book: book._id, user: userId, text });
+};
+
+export const editComment = async (slugOrId, commentId, userId, text) => {
+  const book = await resolveBook(slugOrId);
+  const comment = await findCommentOfBook(book._id, commentId);
+
+  // Un comentario oculto por moderación no se puede editar
+  if (comment.isDeleted) {
+    throw new Error('Comentario no encontrado.');
+  }
+  if (comment.user.toString() !== userId) {
+    throw new Error('No tienes permiso para modificar este comentario.');
+  }
+
+  return await commentRepository.findByIdAndUpdate(commentId, { text });
+};
+
+export const deleteComment = async (slugOrId, commentId, userId, isAdmin) => {
+  const book = await resolveBook(slugOrId);
+  const comment = await findCommentOfBook(book._id, commentId);
+
+  // El autor puede borrar su comentario; el admin puede borrar cualquiera
+  if (!isAdmin && comment.user.toString() !== userId) {
+    throw new Error('No tienes permiso para modificar este comentario.');
+  }
+
+  return await commentRepository.findByIdAndRemove(commentId);
+};
+
+//moderación: ocultar o restaurar sin perder el comentario
+export const setCommentHidden = async (slugOrId, commentId, hidden) => {
+  const book = await resolveBook(slugOrId);
+  await findCommentOfBook(book._id, commentId);
+  return await commentRepository.findByIdAndUpdate(commentId, { isDeleted: hidden });
+};
@@ -0,0 +1,104 @@
+// services/cover.service.js
+// Portadas generadas a partir de los archivos subidos: la primera página del PDF o la imagen de
+// portada del EPUB, en varios tamaños WebP más un BlurHash, guardadas en el almacenamiento de imágenes.
+import sharp from "sharp";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { getImageStore } from "../imageStores/index.js";
+import { openEpub, findCoverItem } from "../utils/epub.utils.js";
+import { encodeBlurhash } from "../utils/blurhash.utils.js";
+
+// Tamaños generados (proporción 2:3, la de las tarjetas del catálogo)
+export const COVER_SIZES = [
+  { name: 'small', width: 160, height: 240 },
+  { name: 'medium', width: 400, height: 600 },
+  { name: 'large', width: 800, height: 1200 }
+];
+// Alto al que se dibuja la primera página del PDF (alcanza para el tamaño más grande)
+const PDF_RENDER_HEIGHT = 1200;
+const WEBP_OPTIONS = { quality: 65, effort: 6 };
+
+const renderPdfFirstPage = async (buffer) => {
+  const document = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, verbosity: 0 }).promise;
+  try {
+    const page = await document.getPage(1);
+    const { height } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: PDF_RENDER_HEIGHT / height });
+
+    const { canvas, context } = document.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    // Fondo blanco: las páginas sin fondo propio quedarían transparentes
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, canvas, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    await document.destroy();
+  }
+};
+
+const readEpubCover = (buffer) => {
+  const epub = openEpub(buffer);
+  const item = findCoverItem(epub);
+  return item ? epub.readFile(item.href) : null;
+};
+
+/**
+ * Imagen de portada de un archivo de libro.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @param {string} format - El formato ('PDF', 'EPUB', ...).
+ * @returns {Promise<Buffer|null>} La imagen o null si el formato no se lee o el EPUB no declara portada.
+ */
+export const extractCoverImage = async (buffer, format) => {
+  if (format === 'PDF') return await renderPdfFirstPage(buffer);
+  if (format === 'EPUB') return readEpubCover(buffer);
+  return null;
+};
+
+/**
+ * Genera la portada de un archivo: los tamaños de `COVER_SIZES` en WebP y su BlurHash.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @param {string} format - El formato ('PDF', 'EPUB', ...).
+ * @param {string} key - Prefijo de los nombres de las imágenes (ej. el checksum del archivo).
+ * @returns {Promise<object|null>} `{ sizes, blurhash, source, store, generatedAt }` (el campo
+ * `cover` del libro) o null si el archivo no tiene portada.
+ */
+export const generateCover = async (buffer, format, key) => {
+  const image = await extractCoverImage(buffer, format);
+  if (!image) return null;
+
+  const store = getImageStore();
+  const sizes = await Promise.all(COVER_SIZES.map(async ({ name, width, height }) => {
+    const webp = await sharp(image).resize(width, height, { fit: 'cover' }).webp(WEBP_OPTIONS).toBuffer();
+    const url = await store.save(`${key}-${name}.webp`, webp, 'image/webp');
+    return { name, width, height, url };
+  }));
+
+  // El BlurHash se calcula sobre una miniatura: el resultado es el mismo y mucho más rápido
+  const { data, info } = await sharp(image)
+    .resize(20, 30, { fit: 'cover' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    sizes,
+    blurhash: encodeBlurhash(data, info.width, info.height, 4, 3),
+    source: format,
+    store: store.name,
+    generatedAt: new Date()
+  };
+};
+
+/**
+ * Campos del libro a guardar con una portada generada. `portada` y `portadaCloudinary` solo se
+ * completan si están vacíos: una portada cargada a mano no se reemplaza.
+ * @param {object} book - Los datos actuales del libro (o los enviados, si es nuevo).
+ * @param {object} cover - La portada (de `generateCover`).
+ * @returns {object} `{ cover, portada?, portadaCloudinary? }`.
+ */
+export const coverFields = (book, cover) => {
+  const urlOf = (name) => cover.sizes.find(size => size.name === name)?.url;
+  const fields = { cover };
+  if (!book.portada) fields.portada = urlOf('large');
+  if (!book.portadaCloudinary) fields.portadaCloudinary = urlOf('medium');
+  return fields;
+};
@@ -0,0 +1,276 @@
+// services/download.service.js
+// Entrega de las descargas (links o stream del archivo): verifica el plan y la cuota del
+// usuario, elige la edición y registra cada descarga.
+import crypto from "crypto";
+import * as downloadRepository from "../repositories/download.repository.js";
+import { checkDownloadAccess, getEffectivePlan, getNextPlan } from "./access.service.js";
+import { listBookCopies, openBookFile, resolveBookFileUrl } from "../storage/index.js";
+import { buildBookFilename, getMimeType } from "../utils/file.utils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Tiempo en que se puede retomar una descarga (Range + If-Range) sin que cuente de nuevo, y
+// cuántas veces se puede retomar cada una
+const RESUME_WINDOW_MS = DAY_MS;
+const MAX_RESUMES = 10;
+
+// Descargas permitidas por plan y período ('day', 'week' o 'month'); limit null = sin límite.
+// Se puede cambiar con la variable DOWNLOAD_QUOTAS (JSON con la misma forma).
+const DEFAULT_QUOTAS = {
+  free: { limit: 3, period: 'day' },
+  lector: { limit: 50, period: 'month' },
+  erudito: { limit: null, period: 'month' }
+};
+
+const PERIOD_LABELS = { day: 'diarias', week: 'semanales', month: 'mensuales' };
+
+const getQuotaConfig = (plan) => {
+  let quotas = DEFAULT_QUOTAS;
+  if (process.env.DOWNLOAD_QUOTAS) {
+    try {
+      quotas = { ...DEFAULT_QUOTAS, ...JSON.parse(process.env.DOWNLOAD_QUOTAS) };
+    } catch (error) {
+      console.error("DOWNLOAD_QUOTAS no es un JSON válido, se usan las cuotas por defecto.");
+    }
+  }
+  return quotas[plan] || DEFAULT_QUOTAS.free;
+};
+
+// Horario de reinicio de las cuotas (UTC): hora del día (DOWNLOAD_QUOTA_RESET_HOUR, 0 por
+// defecto) y, en las mensuales, día del mes (DOWNLOAD_QUOTA_RESET_DAY, 1 por defecto).
+// Las semanales se reinician los lunes.
+const getResetSchedule = () => {
+  const hour = parseInt(process.env.DOWNLOAD_QUOTA_RESET_HOUR);
+  const day = parseInt(process.env.DOWNLOAD_QUOTA_RESET_DAY);
+  return {
+    hour: hour >= 0 && hour <= 23 ? hour : 0,
+    day: day >= 1 && day <= 28 ? day : 1
+  };
+};
+
+/**
+ * Inicio y fin del período de cuota que contiene a `now`.
+ * @param {string} period - 'day', 'week' o 'month'.
+ * @param {Date} [now] - El momento de referencia.
+ * @returns {object} `{ start, end }` como Date.
+ */
+export const getPeriodBounds = (period, now = new Date()) => {
+  const { hour, day } = getResetSchedule();
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+
+  if (period === 'month') {
+    let start = new Date(Date.UTC(year, month, day, hour));
+    if (start > now) start = new Date(Date.UTC(year, month - 1, day, hour));
+    const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, day, hour));
+    return { start, end };
+  }
+
+  const length = period === 'week' ? 7 : 1;
+  // Lunes = 0
+  const offset = period === 'week' ? (now.getUTCDay() + 6) % 7 : 0;
+  let start = Date.UTC(year, month, date - offset, hour);
+  if (start > now.getTime()) start -= length * DAY_MS;
+  return { start: new Date(start), end: new Date(start + length * DAY_MS) };
+};
+
+/**
+ * Estado de la cuota del usuario en el período actual.
+ * @param {object} user - El req.user del JWT.
+ * @returns {Promise<object>} `{ plan, limit, period, used, remaining, resetsAt }`
+ *   (`limit` y `remaining` son null si el plan no tiene límite).
+ */
+export const getQuotaStatus = async (user) => {
+  const plan = getEffectivePlan(user);
+  const { limit, period } = getQuotaConfig(plan);
+  const { start, end } = getPeriodBounds(period);
+  const used = await downloadRepository.countByUserSince(user.id, start);
+
+  return {
+    plan,
+    limit,
+    period,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    resetsAt: end
+  };
+};
+
+/**
+ * Decide si el usuario puede descargar el libro ahora: primero el plan y luego la cuota.
+ * @param {object} [user] - El req.user del JWT.
+ * @param {object} book - El libro.
+ * @returns {Promise<object>} `{ allowed: true, quota }` o `{ allowed: false, status, message, upgrade?, quota? }`.
+ */
+export const authorizeDownload = async (user, book) => {
+  if (!user) {
+    return { allowed: false, status: 401, message: 'Iniciá sesión para descargar.' };
+  }
+
+  const access = checkDownloadAccess(user, book);
+  if (!access.allowed) return access;
+  if (user.role === 'admin') return { allowed: true };
+
+  const quota = await getQuotaStatus(user);
+  if (quota.remaining === 0) {
+    const nextPlan = getNextPlan(quota.plan);
+    return {
+      allowed: false,
+      status: 429,
+      message: `Alcanzaste el límite de ${quota.limit} descargas ${PERIOD_LABELS[quota.period]} de tu plan.`,
+      quota,
+      upgrade: nextPlan ? { requiredPlan: nextPlan, currentPlan: quota.plan } : undefined
+    };
+  }
+  return { allowed: true, quota };
+};
+
+/**
+ * Registra una descarga ya autorizada, reservando su lugar en la cuota antes de entregar el
+ * archivo. authorizeDownload cuenta antes de registrar, así que varios pedidos a la vez podrían
+ * pasar todos; acá se registra primero y después se cuentan las descargas del período: si
+ * superan el límite, esta se borra y se lanza un error. Con pedidos simultáneos en el límite
+ * pueden rechazarse todos, pero nunca se entregan de más.
+ * @param {object} user - El req.user del JWT.
+ * @param {object} book - El libro descargado.
+ * @param {string} channel - 'drive', 'telegram' o 'direct'.
+ * @param {string} [format] - El formato de la edición.
+ * @param {string} [resumeToken] - Token para retomar la descarga (descargas por stream).
+ * @returns {Promise<object>} La descarga registrada.
+ */
+export const recordDownload = async (user, book, channel, format, resumeToken) => {
+  const plan = getEffectivePlan(user);
+  const download = await downloadRepository.create({
+    user: user.id,
+    book: book._id,
+    channel,
+    format,
+    plan,
+    resumeToken
+  });
+
+  const { limit, period } = getQuotaConfig(plan);
+  if (user.role === 'admin' || limit === null) return download;
+
+  const { start } = getPeriodBounds(period);
+  const used = await downloadRepository.countByUserSince(user.id, start);
+  if (used > limit) {
+    await downloadRepository.deleteById(download._id);
+    throw new Error('Alcanzaste el límite de descargas de tu plan.');
+  }
+  return download;
+};
+
+/**
+ * Anula una descarga registrada cuyo archivo no se pudo entregar (devuelve el lugar en la cuota).
+ * @param {object} download - La descarga (de recordDownload).
+ * @returns {Promise<void>}
+ */
+export const cancelDownload = async (download) => {
+  await downloadRepository.deleteById(download._id);
+};
+
+// Link a la descarga por stream de la API (GET /books/:idBook/download)
+const buildStreamUrl = (book, format) =>
+  `${process.env.PUBLIC_URL || ''}/books/${book.slug || book._id}/download?format=${format}`;
+
+/**
+ * Entrega el link de descarga de un libro y registra la descarga.
+ * Se debe llamar después de authorizeDownload.
+ * Si ninguna copia tiene link público (Telegram, local) se devuelve el de la descarga por stream,
+ * con channel 'direct'; esa descarga se registra recién cuando se pide el archivo.
+ * @param {object} user - El req.user del JWT.
+ * @param {object} book - El libro.
+ * @param {string} [format] - El formato pedido ('PDF', 'EPUB', ...).
+ * @returns {Promise<object>} `{ url, format, channel, quota }`.
+ */
+export const issueDownloadLink = async (user, book, format) => {
+  // La mejor copia del formato pedido que tenga link (si una falla, se prueba la siguiente)
+  const resolved = await resolveBookFileUrl(book, format);
+  const quota = () => user.role === 'admin' ? undefined : getQuotaStatus(user);
+
+  if (!resolved) {
+    const [edition] = listBookCopies(book, format);
+    return { url: buildStreamUrl(book, edition.format), format: edition.format, channel: 'direct', quota: await quota() };
+  }
+
+  const { url, edition } = resolved;
+  // Se registra antes de entregar el link: si la cuota se agotó mientras tanto, no se entrega
+  await recordDownload(user, book, edition.storage, edition.format);
+  return { url, format: edition.format, channel: edition.storage, quota: await quota() };
+};
+
+/**
+ * Decide si el usuario puede descargar el archivo por stream. Un pedido que retoma una descarga
+ * (Range que no empieza en 0 con el ETag recibido en If-Range) registrada en las últimas 24 horas
+ * solo controla el plan: no cuenta de nuevo para la cuota. Cada descarga se puede retomar hasta
+ * MAX_RESUMES veces; después, o con otro token, cuenta como una descarga nueva.
+ * @param {object} [user] - El req.user del JWT.
+ * @param {object} book - El libro.
+ * @param {object|null} range - El rango pedido (`{ start, end }`).
+ * @param {string|null} resumeToken - El ETag recibido en If-Range.
+ * @returns {Promise<object>} Como authorizeDownload, con `resume: { token, format }` si retoma una descarga.
+ */
+export const authorizeFileStream = async (user, book, range, resumeToken) => {
+  if (user && range?.start > 0 && resumeToken) {
+    const since = new Date(Date.now() - RESUME_WINDOW_MS);
+    const download = await downloadRepository.claimResume(user.id, book._id, resumeToken, since, MAX_RESUMES);
+    if (download) {
+      const access = checkDownloadAccess(user, book);
+      return access.allowed ? { allowed: true, resume: { token: resumeToken, format: download.format } } : access;
+    }
+  }
+  return await authorizeDownload(user, book);
+};
+
+/**
+ * Abre el archivo de un libro para entregarlo por stream y registra la descarga (salvo que
+ * retome una ya registrada, en cuyo caso se entrega el mismo formato). Se debe llamar después
+ * de authorizeFileStream.
+ * @param {object} user - El req.user del JWT.
+ * @param {object} book - El libro.
+ * @param {object} options - `{ format, range, resume }` (`resume` de authorizeFileStream).
+ * @returns {Promise<object>} `{ stream, mimeType, filename, totalSize, range, resumeToken }`
+ *   (`range` null si va entero; `resumeToken` va como ETag).
+ */
+export const openFileDownload = async (user, book, { format, range, resume }) => {
+  const file = await openBookFile(book, { format: resume?.format || format, range });
+  const { edition } = file;
+
+  let resumeToken = resume?.token;
+  if (!resumeToken) {
+    resumeToken = crypto.randomUUID();
+    try {
+      await recordDownload(user, book, 'direct', edition.format, resumeToken);
+    } catch (error) {
+      file.stream.destroy();
+      throw error;
+    }
+  }
+  return {
+    resumeToken,
+    stream: file.stream,
+    mimeType: edition.mimeType || getMimeType(edition.format) || file.mimeType || 'application/octet-stream',
+    filename: buildBookFilename(book, edition.format),
+    totalSize: file.totalSize,
+    range: file.range
+  };
+};
+
+export const getDownloadHistory = async (user, page, limit) => {
+  const [{ downloads, totalCount }, quota] = await Promise.all([
+    downloadRepository.findByUser(user.id, page, limit),
+    getQuotaStatus(user)
+  ]);
+
+  return {
+    downloads,
+    quota,
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
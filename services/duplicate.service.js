@@ -0,0 +1,199 @@
+// services/duplicate.service.js
+// Libros duplicados: candidatos para que un admin los revise y fusión de varios libros en uno.
+import * as bookRepository from "../repositories/book.repository.js";
+import * as ratingRepository from "../repositories/rating.repository.js";
+import * as userRepository from "../repositories/user.repository.js";
+import * as commentRepository from "../repositories/comment.repository.js";
+import * as downloadRepository from "../repositories/download.repository.js";
+import * as userBookRepository from "../repositories/userBook.repository.js";
+import * as trendingRepository from "../repositories/trending.repository.js";
+import { invalidateSimilar } from "./similar.service.js";
+import { withLegacyFiles } from "../utils/file.utils.js";
+
+// Señales de duplicado, de la más a la menos confiable (ordena la lista de revisión)
+export const DUPLICATE_REASONS = ['checksum', 'titleAuthor', 'fileSize'];
+// Por debajo de este tamaño, que dos archivos pesen lo mismo no dice nada
+const MIN_FILE_SIZE = parseInt(process.env.DUPLICATES_MIN_FILE_SIZE) || 100 * 1024;
+// Datos del duplicado que completan al libro que queda si a este le faltan
+const FILL_FIELDS = ['portada', 'portadaCloudinary', 'sinopsis', 'anio', 'paginas'];
+
+// Une los grupos de las distintas señales que comparten libros (A~B por título y B~C por
+// checksum son un solo caso con A, B y C)
+const buildClusters = (groupsByReason) => {
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  const pairs = [];
+  for (const [reason, groups] of Object.entries(groupsByReason)) {
+    for (const { ids } of groups) {
+      const keys = ids.map(id => id.toString());
+      keys.forEach(key => { if (!parent.has(key)) parent.set(key, key); });
+      keys.slice(1).forEach(key => union(keys[0], key));
+      pairs.push([keys[0], reason]);
+    }
+  }
+
+  const clusters = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!clusters.has(root)) clusters.set(root, { bookIds: [], reasons: new Set() });
+    clusters.get(root).bookIds.push(id);
+  }
+  for (const [id, reason] of pairs) clusters.get(find(id)).reasons.add(reason);
+
+  return [...clusters.values()].map(({ bookIds, reasons }) => ({
+    bookIds,
+    reasons: DUPLICATE_REASONS.filter(reason => reasons.has(reason))
+  }));
+};
+
+// El que conviene conservar: más calificaciones, más ediciones y luego el más antiguo
+const suggestKeep = (books) => [...books].sort((a, b) =>
+  (b.totalRatingsCount || 0) - (a.totalRatingsCount || 0) ||
+  (b.files?.length || 0) - (a.files?.length || 0) ||
+  new Date(a.createdAt) - new Date(b.createdAt)
+)[0]._id;
+
+/**
+ * Lista de posibles duplicados para revisar. Cada caso junta los libros relacionados por
+ * alguna señal (mismo título y autor, mismo archivo o mismo tamaño y formato).
+ * @param {string} [reason] - Solo los casos detectados por esta señal.
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de casos por página.
+ * @returns {Promise<object>} `{ items: [{ reasons, books, suggestedKeepId }], metadata }`.
+ */
+export const findDuplicateCandidates = async (reason, page, limit) => {
+  if (reason && !DUPLICATE_REASONS.includes(reason)) {
+    throw new Error('Señal de duplicado inválida.');
+  }
+
+  const clusters = buildClusters(await bookRepository.findDuplicateGroups(MIN_FILE_SIZE))
+    .filter(cluster => !reason || cluster.reasons.includes(reason))
+    .sort((a, b) =>
+      DUPLICATE_REASONS.indexOf(a.reasons[0]) - DUPLICATE_REASONS.indexOf(b.reasons[0]) ||
+      b.reasons.length - a.reasons.length ||
+      b.bookIds.length - a.bookIds.length
+    );
+
+  const totalCount = clusters.length;
+  const pageClusters = clusters.slice((page - 1) * limit, page * limit);
+  const books = await bookRepository.findDuplicateDetails(pageClusters.flatMap(cluster => cluster.bookIds));
+  const byId = new Map(books.map(book => [book._id.toString(), book]));
+
+  const items = pageClusters
+    .map(({ bookIds, reasons }) => ({ reasons, books: bookIds.map(id => byId.get(id)).filter(Boolean) }))
+    // Un libro borrado entre una consulta y otra puede dejar el caso con uno solo
+    .filter(item => item.books.length > 1)
+    .map(item => ({ ...item, suggestedKeepId: suggestKeep(item.books) }));
+
+  return {
+    items,
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+// Misma edición: mismo archivo, mismo archivo de Telegram o mismo link de Drive
+const isSameFile = (a, b) => {
+  if (a.checksum && a.checksum === b.checksum) return true;
+  if (a.storage !== b.storage) return false;
+  if (a.storage === 'drive') return Boolean(a.link) && a.link === b.link;
+  if (a.telegram?.fileUniqueId && b.telegram?.fileUniqueId) {
+    return a.telegram.fileUniqueId === b.telegram.fileUniqueId;
+  }
+  return Boolean(a.telegram?.fileId) && a.telegram.fileId === b.telegram?.fileId;
+};
+
+/**
+ * Fusiona libros duplicados en uno. El libro que queda recibe las calificaciones, favoritos,
+ * comentarios, entradas de biblioteca, descargas y ediciones (Drive y Telegram) de los demás,
+ * y sus slugs para que las URLs viejas sigan funcionando. Después se eliminan los duplicados.
+ * Si un usuario calificó (o tiene en su biblioteca) los dos libros, se conserva lo del que queda.
+ *
+ * No usa transacciones (requieren un replica set): cada paso se puede repetir sin duplicar nada
+ * (mueve lo que quede en los duplicados, las ediciones y slugs ya pasados se saltean) y los
+ * duplicados se borran al final. Si falla a mitad de camino, se vuelve a pedir la misma fusión
+ * y termina lo que faltaba.
+ * @param {string} keepSlugOrId - El slug o ID del libro que queda.
+ * @param {string[]} duplicateIds - Los IDs de los libros que desaparecen.
+ * @returns {Promise<object>} `{ book, removed, moved }` con la cantidad movida de cada cosa.
+ */
+export const mergeBooks = async (keepSlugOrId, duplicateIds) => {
+  const ids = [...new Set((duplicateIds || []).map(id => id.toString()))];
+  if (!keepSlugOrId || ids.length === 0) {
+    throw new Error('Se requiere al menos un duplicado distinto del libro que queda.');
+  }
+
+  const keep = await bookRepository.findBySlugOrId(keepSlugOrId);
+  if (!keep) {
+    throw new Error('Libro no encontrado.');
+  }
+  if (ids.includes(keep._id.toString())) {
+    throw new Error('Se requiere al menos un duplicado distinto del libro que queda.');
+  }
+  const duplicates = await bookRepository.findByIds(ids);
+  if (duplicates.length !== ids.length) {
+    throw new Error('Libro no encontrado.');
+  }
+
+  const moved = { ratings: 0, shelves: 0, favorites: 0, comments: 0, downloads: 0, files: 0 };
+  // Todos los pasos que siguen se pueden repetir (ver arriba). De a un duplicado: un usuario puede haber calificado dos de ellos (índice único libro + usuario)
+  for (const duplicate of duplicates) {
+    moved.ratings += await ratingRepository.moveToBook(duplicate._id, keep._id);
+    moved.shelves += await userBookRepository.moveToBook(duplicate._id, keep._id);
+  }
+  const duplicateObjectIds = duplicates.map(duplicate => duplicate._id);
+  [moved.favorites, moved.comments, moved.downloads] = await Promise.all([
+    userRepository.replaceFavorites(duplicateObjectIds, keep._id),
+    commentRepository.moveToBook(duplicateObjectIds, keep._id),
+    downloadRepository.moveToBook(duplicateObjectIds, keep._id),
+    trendingRepository.moveEvents(duplicateObjectIds, keep._id)
+  ]);
+
+  // Ediciones (incluido el archivo principal de antes de las ediciones) que el libro no tenga
+  const files = withLegacyFiles(keep.files.map(file => file.toObject()), keep);
+  for (const duplicate of duplicates) {
+    for (const file of withLegacyFiles(duplicate.files || [], duplicate)) {
+      if (files.some(known => isSameFile(known, file))) continue;
+      const { _id, ...edition } = file;
+      files.push(edition);
+      moved.files++;
+    }
+  }
+  keep.files = files;
+
+  // Los slugs de los duplicados pasan al historial: sus URLs redirigen al libro que queda
+  const knownSlugs = new Set([keep.slug, ...keep.slugHistory]);
+  for (const slug of duplicates.flatMap(duplicate => [duplicate.slug, ...(duplicate.slugHistory || [])])) {
+    if (slug && !knownSlugs.has(slug)) {
+      keep.slugHistory.push(slug);
+      knownSlugs.add(slug);
+    }
+  }
+
+  const isBlank = (value) => value === undefined || value === null || value === '';
+  for (const field of FILL_FIELDS) {
+    const source = duplicates.find(duplicate => !isBlank(duplicate[field]));
+    if (isBlank(keep[field]) && source) keep[field] = source[field];
+  }
+
+  Object.assign(keep, await ratingRepository.getBookMetrics(keep._id));
+  // Se guarda antes de borrar: si algo falla, los duplicados siguen ahí y se puede reintentar
+  const book = await bookRepository.save(keep);
+  const removed = await bookRepository.deleteByIds(duplicateObjectIds);
+
+  await invalidateSimilar({ bookIds: [keep._id, ...duplicateObjectIds] });
+
+  return { book, removed, moved };
+};
@@ -0,0 +1,120 @@
+// services/fileMetadata.service.js
+// Metadatos de los archivos subidos: páginas y diccionario Info de los PDF, y el OPF de los EPUB.
+// Completan los datos del libro que no envió el cliente y señalan los que no coinciden.
+import { getDocument, PDFDateString } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { openEpub, dcValues } from "../utils/epub.utils.js";
+import { normalizeText, buildNameKey } from "../utils/search.utils.js";
+
+// Idiomas de los archivos (códigos ISO) con el nombre que usa el catálogo
+const LANGUAGE_NAMES = {
+  es: 'español',
+  en: 'inglés',
+  pt: 'portugués',
+  fr: 'francés',
+  it: 'italiano',
+  de: 'alemán',
+  ca: 'catalán'
+};
+
+// Títulos que ponen los programas de edición y no dicen nada del libro
+const PLACEHOLDER_TITLE = /^(untitled|sin t[ií]tulo|microsoft word\b|documento?\s*\d*$)|\.(docx?|rtf|txt|pdf|epub|indd)$/i;
+
+const toLanguage = (code) => LANGUAGE_NAMES[(code || '').toLowerCase().split(/[-_]/)[0]];
+const toYear = (value) => {
+  const year = value instanceof Date ? value.getUTCFullYear() : parseInt((value || '').match(/\b(1[5-9]\d\d|20\d\d)\b/)?.[1]);
+  return year && year <= new Date().getFullYear() + 1 ? year : undefined;
+};
+const cleanTitle = (title) => {
+  const trimmed = (title || '').trim();
+  return trimmed && !PLACEHOLDER_TITLE.test(trimmed) ? trimmed : undefined;
+};
+
+// Quita los campos sin valor
+const compact = (metadata) => Object.fromEntries(
+  Object.entries(metadata).filter(([, value]) => value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0))
+);
+
+const extractPdfMetadata = async (buffer) => {
+  const document = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, verbosity: 0 }).promise;
+  try {
+    const { info } = await document.getMetadata();
+    return compact({
+      titulo: cleanTitle(info?.Title),
+      autor: info?.Author?.trim(),
+      anio: toYear(PDFDateString.toDateObject(info?.CreationDate)),
+      idioma: toLanguage(info?.Language),
+      paginas: document.numPages
+    });
+  } finally {
+    await document.destroy();
+  }
+};
+
+const extractEpubMetadata = (buffer) => {
+  const { opf } = openEpub(buffer);
+
+  return compact({
+    titulo: cleanTitle(dcValues(opf, 'title')[0]),
+    autor: dcValues(opf, 'creator')[0],
+    idioma: toLanguage(dcValues(opf, 'language')[0]),
+    anio: toYear(dcValues(opf, 'date')[0]),
+    categorias: [...new Set(dcValues(opf, 'subject'))]
+  });
+};
+
+/**
+ * Lee los metadatos de un archivo de libro.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @param {string} format - El formato ('PDF', 'EPUB', ...).
+ * @returns {Promise<object|null>} `{ titulo, autor, anio, idioma, paginas, categorias }` (solo
+ * los que tiene el archivo) o null si el formato no se lee.
+ */
+export const extractFileMetadata = async (buffer, format) => {
+  if (format === 'PDF') return await extractPdfMetadata(buffer);
+  if (format === 'EPUB') return extractEpubMetadata(buffer);
+  return null;
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+const sameNumber = (a, b) => Number(a) === Number(b);
+
+// Cómo se compara cada campo enviado con el del archivo
+const COMPARERS = {
+  titulo: (a, b) => normalizeText(a) === normalizeText(b),
+  autor: (a, b) => buildNameKey(a) === buildNameKey(b),
+  anio: sameNumber,
+  paginas: sameNumber,
+  idioma: (a, b) => normalizeText(a) === normalizeText(b)
+};
+
+/**
+ * Combina los datos enviados con los del archivo: los que faltan se completan y los que
+ * no coinciden se informan (se conserva lo enviado). Las categorías solo se completan.
+ * @param {object} bookData - Los datos enviados por el cliente.
+ * @param {object} extracted - Los metadatos del archivo (de `extractFileMetadata`).
+ * @returns {object} `{ data, prefilled: [campos], conflicts: [{ field, sent, extracted }] }`.
+ */
+export const reconcileMetadata = (bookData, extracted) => {
+  const data = { ...bookData };
+  const prefilled = [];
+  const conflicts = [];
+
+  for (const [field, isSame] of Object.entries(COMPARERS)) {
+    const value = extracted[field];
+    if (value === undefined) continue;
+    if (isBlank(bookData[field])) {
+      data[field] = value;
+      prefilled.push(field);
+    } else if (!isSame(bookData[field], value)) {
+      conflicts.push({ field, sent: bookData[field], extracted: value });
+    }
+  }
+
+  if (extracted.categorias && isBlank(bookData.categorias)) {
+    data.categorias = extracted.categorias;
+    prefilled.push('categorias');
+  }
+
+  return { data, prefilled, conflicts };
+};
+
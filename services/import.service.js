@@ -0,0 +1,184 @@
+// services/import.service.js
+// Importación masiva de libros: valida el archivo al recibirlo y crea los libros en segundo plano.
+// El avance queda guardado fila por fila, así se puede consultar y retomar tras un reinicio.
+import * as importJobRepository from "../repositories/importJob.repository.js";
+import * as bookRepository from "../repositories/book.repository.js";
+import { createBook } from "./book.service.js";
+import { parseImport } from "../utils/import.utils.js";
+import { normalizeText } from "../utils/search.utils.js";
+
+// Filas por importación (todas se guardan dentro del mismo documento)
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+// Cada cuántas filas procesadas se guarda el avance
+const SAVE_EVERY = 25;
+
+// Importaciones que se están procesando en este servidor
+const running = new Set();
+
+const countRows = (rows) => {
+  const totals = { rows: rows.length, pending: 0, created: 0, skipped: 0, error: 0 };
+  for (const row of rows) totals[row.status]++;
+  return totals;
+};
+
+// Crea el libro de una fila, salvo que ya exista (por título o por link) o se repita en la importación
+const importRow = async (row, userId, seenTitles) => {
+  const titleKey = normalizeText(row.data.titulo);
+  if (seenTitles.has(titleKey)) {
+    row.status = 'skipped';
+    row.message = `Repetido en la importación (fila ${seenTitles.get(titleKey)}).`;
+    return;
+  }
+  seenTitles.set(titleKey, row.index);
+
+  const existing = await bookRepository.findByTitle(row.data.titulo) || await bookRepository.findByFileLink(row.data.link);
+  if (existing) {
+    row.status = 'skipped';
+    row.message = normalizeText(existing.titulo) === titleKey
+      ? 'Ya existe un libro con ese título.'
+      : 'El link ya está cargado en otro libro.';
+    row.duplicateOf = existing._id;
+    return;
+  }
+
+  try {
+    const book = await createBook({ ...row.data, creator: userId });
+    row.status = 'created';
+    row.book = book._id;
+  } catch (error) {
+    row.status = 'error';
+    // Otro libro con el mismo título creado mientras tanto (índice único)
+    row.message = error.code === 11000 ? 'Ya existe un libro con ese título.' : error.message;
+  }
+};
+
+const processImport = async (jobId) => {
+  if (running.has(jobId.toString())) return;
+  running.add(jobId.toString());
+
+  const job = await importJobRepository.findDocumentById(jobId);
+  if (!job) {
+    running.delete(jobId.toString());
+    return;
+  }
+  try {
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date();
+    await importJobRepository.save(job);
+
+    // Títulos ya vistos en la importación (incluidas las filas procesadas antes de un reinicio)
+    const seenTitles = new Map();
+    let processed = 0;
+    for (const row of job.rows) {
+      if (row.status === 'pending') {
+        await importRow(row, job.user, seenTitles);
+        if (++processed % SAVE_EVERY === 0) {
+          job.totals = countRows(job.rows);
+          await importJobRepository.save(job);
+        }
+      } else if (row.data && row.status !== 'error') {
+        seenTitles.set(normalizeText(row.data.titulo), row.index);
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`Error en la importación ${jobId}:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    running.delete(jobId.toString());
+  }
+
+  job.totals = countRows(job.rows);
+  job.finishedAt = new Date();
+  await importJobRepository.save(job);
+};
+
+const runInBackground = (jobId) => {
+  processImport(jobId).catch((error) => console.error(`No se pudo guardar la importación ${jobId}:`, error.message));
+};
+
+/**
+ * Recibe una importación: valida todas las filas y deja la creación de los libros en segundo plano.
+ * Las filas inválidas quedan como 'error' desde el principio.
+ * @param {string} userId - El admin que importa (queda como `creator` de los libros).
+ * @param {string} format - 'text', 'csv' o 'json'.
+ * @param {string|object[]} content - El contenido del archivo.
+ * @param {string} [filename] - El nombre del archivo subido.
+ * @returns {Promise<object>} La importación creada (`_id`, `status`, `totals`).
+ */
+export const createImport = async (userId, format, content, filename) => {
+  const parsed = parseImport(format, content);
+  if (parsed.length === 0) {
+    throw new Error('La importación no tiene filas.');
+  }
+  if (parsed.length > MAX_ROWS) {
+    throw new Error('La importación tiene demasiadas filas.');
+  }
+
+  const rows = parsed.map(({ titulo, book, error }, i) => ({
+    index: i + 1,
+    titulo,
+    data: book,
+    status: error ? 'error' : 'pending',
+    message: error
+  }));
+
+  const job = await importJobRepository.create({
+    user: userId,
+    format,
+    filename,
+    rows,
+    totals: countRows(rows)
+  });
+  runInBackground(job._id);
+
+  return { _id: job._id, status: job.status, totals: job.totals };
+};
+
+/**
+ * Estado y resultado por fila de una importación.
+ * @param {string} jobId - El ID de la importación.
+ * @param {string} [status] - Solo las filas con este resultado ('created', 'skipped', 'error', 'pending').
+ * @returns {Promise<object>} La importación, sin los datos normalizados de cada fila.
+ */
+export const getImport = async (jobId, status) => {
+  const job = await importJobRepository.findById(jobId);
+  if (!job) {
+    throw new Error('Importación no encontrada.');
+  }
+
+  return {
+    ...job,
+    rows: job.rows
+      .filter(row => !status || row.status === status)
+      .map(({ data, ...row }) => row)
+  };
+};
+
+export const listImports = async (page, limit) => {
+  const { jobs, totalCount } = await importJobRepository.findAll(page, limit);
+  return {
+    items: jobs,
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Retoma las importaciones que quedaron sin terminar (por ejemplo, por un reinicio del servidor).
+ * Se procesan de a una, en el orden en que se recibieron.
+ * @returns {Promise<number>} La cantidad de importaciones retomadas.
+ */
+export const resumeImports = async () => {
+  const jobIds = await importJobRepository.findUnfinishedIds();
+  for (const jobId of jobIds) {
+    await processImport(jobId);
+  }
+  return jobIds.length;
+};
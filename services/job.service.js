@@ -0,0 +1,283 @@
+// services/job.service.js
+// Cola de tareas en segundo plano guardada en MongoDB: cada servidor toma tareas en cola,
+// las procesa por lotes guardando el avance y, si se cae, otro (o él mismo al reiniciar) las retoma.
+import os from "os";
+import pLimit from "p-limit";
+import * as jobRepository from "../repositories/job.repository.js";
+import { jobTypes } from "../jobs/index.js";
+
+export const JOB_STATUSES = ['queued', 'running', 'paused', 'completed', 'failed'];
+
+// Ítems por lote (el avance se guarda al terminar cada lote)
+const BATCH_SIZE = 20;
+// Reintentos de cada ítem y espera base entre ellos (se duplica en cada intento)
+const ITEM_ATTEMPTS = 3;
+const ITEM_BACKOFF_MS = 2000;
+// Espera base antes de reintentar una ejecución que falló entera (se duplica en cada intento)
+const JOB_BACKOFF_MS = 60 * 1000;
+// Tareas en ejecución a la vez en este servidor y cada cuánto se buscan nuevas
+const MAX_RUNNING = parseInt(process.env.JOBS_MAX_RUNNING) || 1;
+const POLL_MS = (parseInt(process.env.JOBS_POLL_SECONDS) || 10) * 1000;
+// Si una tarea no guarda avance en este tiempo, se da por caído a su servidor
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const registry = new Map(jobTypes.map(definition => [definition.type, definition]));
+// Tareas que se están ejecutando en este servidor
+const running = new Set();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getDefinition = (type) => {
+  const definition = registry.get(type);
+  if (!definition) {
+    throw new Error('Tipo de tarea inválido.');
+  }
+  return definition;
+};
+
+// Procesa un ítem con reintentos; si se agotan, registra el error y sigue con el resto
+const runItem = async (job, definition, item) => {
+  const attempts = definition.itemAttempts || ITEM_ATTEMPTS;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await definition.processItem(item, job.params);
+      return result === 'skipped' ? 'skipped' : 'succeeded';
+    } catch (error) {
+      if (attempt >= attempts) {
+        await jobRepository.createLog({
+          job: job._id,
+          item: item._id.toString(),
+          label: definition.label?.(item),
+          message: error.message,
+          attempt
+        });
+        return 'failed';
+      }
+      await delay(ITEM_BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+// Cierra la ejecución; si la pausaron justo al final, solo se libera el bloqueo
+const finishRun = async (job, set, inc) => {
+  const finished = await jobRepository.finish(job._id, WORKER_ID, set, inc);
+  if (!finished) await jobRepository.release(job._id, WORKER_ID);
+};
+
+// Ejecuta una tarea tomada por este servidor hasta terminarla, pausarla o fallar
+const runJob = async (job) => {
+  const definition = registry.get(job.type);
+  // Renueva el bloqueo aunque un lote tarde (descargas grandes, reintentos)
+  const heartbeat = setInterval(() => {
+    jobRepository.checkpoint(job._id, WORKER_ID, {}).catch(() => {});
+  }, LOCK_TIMEOUT_MS / 3);
+  try {
+    if (job.progress?.total == null && definition.count) {
+      const total = await definition.count(job.params);
+      await jobRepository.checkpoint(job._id, WORKER_ID, { 'progress.total': total });
+    }
+
+    const limit = pLimit(definition.concurrency || 1);
+    let cursor = job.cursor;
+    for (;;) {
+      const items = await definition.nextBatch(job.params, cursor, BATCH_SIZE);
+      if (items.length === 0) {
+        await finishRun(job, { status: 'completed', finishedAt: new Date(), lastError: null });
+        return;
+      }
+
+      const counts = { processed: items.length, succeeded: 0, skipped: 0, failed: 0 };
+      await Promise.all(items.map(item => limit(async () => {
+        counts[await runItem(job, definition, item)]++;
+        if (definition.itemDelayMs) await delay(definition.itemDelayMs);
+      })));
+      cursor = items[items.length - 1]._id.toString();
+
+      const status = await jobRepository.checkpoint(job._id, WORKER_ID, { cursor }, counts);
+      if (status !== 'running') {
+        // La pausaron (o la tomó otro servidor): se deja donde quedó
+        await jobRepository.release(job._id, WORKER_ID);
+        return;
+      }
+    }
+  } catch (error) {
+    // Falla de la ejecución entera (no de un ítem): se reintenta desde el último lote guardado
+    const attempts = (job.attempts || 0) + 1;
+    const retry = attempts < job.maxAttempts;
+    console.error(`Error en la tarea ${job.type} (${job._id}):`, error.message);
+
+    await jobRepository.createLog({ job: job._id, message: error.message, attempt: attempts });
+    await finishRun(
+      job,
+      retry
+        ? { status: 'queued', lastError: error.message, nextRunAt: new Date(Date.now() + JOB_BACKOFF_MS * 2 ** (attempts - 1)) }
+        : { status: 'failed', lastError: error.message, finishedAt: new Date() },
+      { attempts: 1 }
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Toma tareas en cola mientras haya lugar, respetando el máximo de cada tipo
+const pollJobs = async () => {
+  await jobRepository.releaseStale(new Date(Date.now() - LOCK_TIMEOUT_MS));
+
+  while (running.size < MAX_RUNNING) {
+    const runningByType = await jobRepository.countRunningByType();
+    const types = jobTypes
+      .filter(definition => (runningByType.get(definition.type) || 0) < (definition.maxRunning || 1))
+      .map(definition => definition.type);
+    if (types.length === 0) return;
+
+    const job = await jobRepository.claimNext(types, WORKER_ID);
+    if (!job) return;
+
+    const jobId = job._id.toString();
+    running.add(jobId);
+    runJob(job)
+      .catch((error) => console.error(`No se pudo terminar la tarea ${jobId}:`, error.message))
+      .finally(() => running.delete(jobId));
+  }
+};
+
+/**
+ * Empieza a ejecutar tareas en este servidor: busca tareas en cola cada `JOBS_POLL_SECONDS`
+ * y retoma las que quedaron a medias si su servidor se cayó.
+ */
+export const startJobWorker = () => {
+  let polling = false;
+  const poll = () => {
+    if (polling) return;
+    polling = true;
+    pollJobs()
+      .catch((error) => console.error("Error al buscar tareas en cola:", error.message))
+      .finally(() => { polling = false; });
+  };
+  poll();
+  setInterval(poll, POLL_MS);
+};
+
+/**
+ * Tipos de tareas que se pueden encolar.
+ * @returns {object[]} `{ type, description, concurrency, maxRunning }` por tipo.
+ */
+export const listJobTypes = () => jobTypes.map(({ type, description, concurrency, maxRunning }) => ({
+  type,
+  description,
+  concurrency: concurrency || 1,
+  maxRunning: maxRunning || 1
+}));
+
+/**
+ * Encola una tarea.
+ * @param {string} type - El tipo de tarea (ver `listJobTypes`).
+ * @param {object} [params] - Parámetros propios del tipo.
+ * @param {object} options - `{ maxAttempts, userId }`.
+ * @returns {Promise<object>} La tarea encolada.
+ */
+export const enqueueJob = async (type, params = {}, { maxAttempts, userId } = {}) => {
+  const definition = getDefinition(type);
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('Los parámetros de la tarea deben ser un objeto.');
+  }
+  try {
+    definition.validate?.(params);
+  } catch (error) {
+    // Los errores de validación de cada tipo se informan como datos inválidos (400)
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  const jobData = { type, params, createdBy: userId };
+  if (maxAttempts !== undefined) jobData.maxAttempts = maxAttempts;
+  return await jobRepository.create(jobData);
+};
+
+/**
+ * Encola una tarea periódica si le toca: si no hay otra del mismo tipo sin terminar y la
+ * última se encoló hace más de `intervalMs`.
+ * @param {string} type - El tipo de tarea.
+ * @param {object} params - Parámetros propios del tipo.
+ * @param {number} intervalMs - Cada cuánto se ejecuta.
+ * @returns {Promise<object|null>} La tarea encolada o null si todavía no le tocaba.
+ */
+export const enqueueJobIfDue = async (type, params, intervalMs) => {
+  const latest = await jobRepository.findLatestByType(type);
+  if (latest) {
+    const unfinished = ['queued', 'running', 'paused'].includes(latest.status);
+    if (unfinished || Date.now() - new Date(latest.createdAt).getTime() < intervalMs) return null;
+  }
+  return await enqueueJob(type, params);
+};
+
+export const getJob = async (jobId) => {
+  const job = await jobRepository.findById(jobId);
+  if (!job) {
+    throw new Error('Tarea no encontrada.');
+  }
+  return job;
+};
+
+export const listJobs = async ({ status, type }, page, limit) => {
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new Error('Estado de tarea inválido.');
+  }
+
+  const { jobs, totalCount } = await jobRepository.findAll({ status, type }, page, limit);
+  return {
+    items: jobs,
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+export const getJobLogs = async (jobId, page, limit) => {
+  await getJob(jobId);
+  const { logs, totalCount } = await jobRepository.findLogs(jobId, page, limit);
+  return {
+    items: logs,
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+// Cambia el estado si la tarea está en uno de los esperados (si no existe, 404; si no, conflicto)
+const changeStatus = async (jobId, fromStatuses, set) => {
+  const job = await jobRepository.updateStatus(jobId, fromStatuses, set);
+  if (job) return job;
+
+  await getJob(jobId);
+  throw new Error('La tarea no está en un estado que lo permita.');
+};
+
+/**
+ * Pausa una tarea en cola o en ejecución. Si se está ejecutando, se detiene al terminar el lote actual.
+ * @param {string} jobId - El ID de la tarea.
+ * @returns {Promise<object>} La tarea pausada.
+ */
+export const pauseJob = async (jobId) => {
+  return await changeStatus(jobId, ['queued', 'running'], { status: 'paused' });
+};
+
+/**
+ * Vuelve a poner en cola una tarea pausada o fallida; sigue desde el último lote guardado.
+ * A una tarea fallida se le reinician los reintentos.
+ * @param {string} jobId - El ID de la tarea.
+ * @returns {Promise<object>} La tarea en cola.
+ */
+export const resumeJob = async (jobId) => {
+  const job = await getJob(jobId);
+  const set = { status: 'queued', nextRunAt: new Date(), finishedAt: null };
+  if (job.status === 'failed') set.attempts = 0;
+  return await changeStatus(jobId, ['paused', 'failed'], set);
+};
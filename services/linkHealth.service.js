@@ -0,0 +1,61 @@
+// services/linkHealth.service.js
+// Reporte de archivos caídos (según la tarea link-health) y visibilidad de los libros en las búsquedas.
+import * as bookRepository from "../repositories/book.repository.js";
+
+export const FAILING_STATUSES = ['missing', 'error'];
+
+// Datos de cada edición que sirven para revisarla
+const toReportFile = ({ _id, format, storage, link, telegram, path, isAvailable, health }) => ({
+  _id, format, storage, link, telegram, path, isAvailable, health
+});
+
+/**
+ * Libros con alguna copia caída o que no se pudo verificar en el último control.
+ * @param {string} [status] - Solo las copias 'missing' (ya no existen) o 'error' (no se pudo verificar).
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de libros por página.
+ * @returns {Promise<object>} Los libros (con todas sus ediciones y el resultado de cada una) y la paginación.
+ */
+export const listBrokenLinks = async (status, page, limit) => {
+  if (status && !FAILING_STATUSES.includes(status)) {
+    throw new Error('Estado de control inválido.');
+  }
+
+  const { books, totalCount } = await bookRepository.findWithFailingFiles(status, page, limit);
+  return {
+    items: books.map(book => ({ ...book, files: (book.files || []).map(toReportFile) })),
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Oculta de las búsquedas los libros sin ninguna copia disponible. Vuelven a mostrarse solos
+ * cuando la tarea link-health encuentra alguna copia.
+ * @returns {Promise<number>} La cantidad de libros ocultados.
+ */
+export const hideBrokenBooks = async () => {
+  return await bookRepository.hideBroken();
+};
+
+/**
+ * Oculta o vuelve a mostrar un libro en las búsquedas.
+ * @param {string} bookId - El ID del libro.
+ * @param {boolean} hidden - Si se oculta.
+ * @returns {Promise<object>} El libro (`titulo`, `slug`, `hidden`, `hiddenReason`, `linkHealth`).
+ */
+export const setBookVisibility = async (bookId, hidden) => {
+  if (typeof hidden !== 'boolean') {
+    throw new Error('hidden debe ser true o false.');
+  }
+
+  const book = await bookRepository.setHidden(bookId, hidden);
+  if (!book) {
+    throw new Error('Libro no encontrado.');
+  }
+  return book;
+};
@@ -29,7 +29,10 @@ class MovieService {
 
     async searchMovies(params) {
         // Aquí podrías agregar lógica de negocio, como guardar qué buscan los usuarios
-        return await MovieRepository.findWithFilters(params);
+        return await MovieRepository.findWithFilters({
+            ...params,
+            withCount: params.withCount === 'true'
+        });
     }
 }
 
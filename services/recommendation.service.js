@@ -0,0 +1,135 @@
+// services/recommendation.service.js
+// Recomendaciones personales: mezcla el perfil de gustos del usuario (categorías y
+// autores de lo que calificó alto, marcó como favorito o descargó) con los libros
+// similares a esos mismos libros. Sin historial, recomienda populares de su idioma.
+import * as bookRepository from "../repositories/book.repository.js";
+import * as ratingRepository from "../repositories/rating.repository.js";
+import * as userRepository from "../repositories/user.repository.js";
+import * as downloadRepository from "../repositories/download.repository.js";
+import { getSimilarResults } from "./similar.service.js";
+
+// Cuánto dice de los gustos del usuario cada señal sobre un libro
+const SIGNAL_WEIGHTS = { favorite: 3, download: 1 };
+// Una calificación suma según el puntaje: 5 -> 2, 4 -> 1, 3 o menos no suma
+const ratingWeight = (rating) => Math.max(rating - 3, 0);
+
+const TOP_CATEGORIES = 5;
+const TOP_AUTHORS = 5;
+// Libros "semilla" cuyos similares se consideran (los de más peso)
+const MAX_SEEDS = 10;
+const PROFILE_CANDIDATES = 100;
+const DEFAULT_IDIOMA = 'español';
+
+// Peso de cada libro conocido por el usuario (puede sumar varias señales)
+const buildSeedWeights = (ratings, favoritos, downloadedIds) => {
+  const weights = new Map();
+  const add = (id, weight) => {
+    if (weight <= 0) return;
+    const key = id.toString();
+    weights.set(key, (weights.get(key) || 0) + weight);
+  };
+
+  ratings.forEach(({ book, rating }) => add(book, ratingWeight(rating)));
+  favoritos.forEach(id => add(id, SIGNAL_WEIGHTS.favorite));
+  downloadedIds.forEach(id => add(id, SIGNAL_WEIGHTS.download));
+  return weights;
+};
+
+// Suma los pesos por clave y devuelve las `limit` de más peso
+const topByWeight = (entries, limit) => {
+  const totals = new Map();
+  for (const [key, weight] of entries) {
+    totals.set(key, (totals.get(key) || 0) + weight);
+  }
+  return [...totals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+};
+
+// Idioma más frecuente entre los libros del usuario
+const mostCommonIdioma = (books) => topByWeight(
+  books.filter(book => book.idioma).map(book => [book.idioma, 1]),
+  1
+)[0]?.[0];
+
+/**
+ * Recomendaciones para el usuario, sin libros que ya calificó, marcó como favoritos o descargó.
+ * @param {string} userId - El ID del usuario.
+ * @param {number} limit - La cantidad de libros.
+ * @param {string} [idioma] - Idioma para los populares (si no, el preferido del usuario).
+ * @returns {Promise<object>} `{ books, basedOn, fallback }`.
+ */
+export const getRecommendations = async (userId, limit, idioma) => {
+  const [ratings, preferences, downloadedIds] = await Promise.all([
+    ratingRepository.findUserRatings(userId),
+    userRepository.findPreferences(userId),
+    downloadRepository.findBookIdsByUser(userId)
+  ]);
+  if (!preferences) {
+    throw new Error("User not found");
+  }
+
+  const favoritos = preferences.favoritos || [];
+  const seenIds = [...ratings.map(({ book }) => book), ...favoritos, ...downloadedIds];
+  const seedWeights = buildSeedWeights(ratings, favoritos, downloadedIds);
+  const seeds = await bookRepository.findProfileData([...seedWeights.keys()]);
+
+  // Perfil: categorías y autores más presentes en lo que le gustó
+  const categorias = topByWeight(
+    seeds.flatMap(book => (book.categorias || []).map(nombre => [nombre, seedWeights.get(book._id.toString())])),
+    TOP_CATEGORIES
+  ).map(([nombre, weight]) => ({ nombre, weight }));
+  const autores = topByWeight(
+    seeds.filter(book => book.autorRef).map(book => [book.autorRef.toString(), seedWeights.get(book._id.toString())]),
+    TOP_AUTHORS
+  ).map(([id, weight]) => ({ id: seeds.find(book => book.autorRef?.toString() === id).autorRef, weight }));
+
+  const scores = new Map();
+  const addScore = (id, score) => {
+    const key = id.toString();
+    scores.set(key, (scores.get(key) || 0) + score);
+  };
+
+  // 1. Por perfil (categorías y autores)
+  const byProfile = await bookRepository.findByProfile({ categorias, autores }, seenIds, PROFILE_CANDIDATES);
+  byProfile.forEach(({ _id, score }) => addScore(_id, score));
+
+  // 2. Ítem a ítem: los similares de sus libros con más peso
+  const topSeeds = [...seeds]
+    .sort((a, b) => seedWeights.get(b._id.toString()) - seedWeights.get(a._id.toString()))
+    .slice(0, MAX_SEEDS);
+  const seen = new Set(seenIds.map(id => id.toString()));
+  const similarLists = await Promise.all(topSeeds.map(getSimilarResults));
+  similarLists.forEach((results, i) => {
+    const seedWeight = seedWeights.get(topSeeds[i]._id.toString());
+    for (const { book, score } of results) {
+      if (!seen.has(book.toString())) addScore(book, score * seedWeight);
+    }
+  });
+
+  const rankedIds = [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([id]) => id);
+
+  // 3. Sin historial (o si faltan libros): populares del idioma preferido
+  const fallback = rankedIds.length < limit;
+  if (fallback) {
+    const preferredIdioma = idioma || preferences.idiomaPreferido || mostCommonIdioma(seeds) || DEFAULT_IDIOMA;
+    const popular = await bookRepository.findPopularIds(
+      preferredIdioma.toLowerCase(),
+      [...seenIds, ...rankedIds],
+      limit - rankedIds.length
+    );
+    rankedIds.push(...popular.map(({ _id }) => _id.toString()));
+  }
+
+  return {
+    books: await bookRepository.findCardsByIds(rankedIds),
+    basedOn: {
+      categorias: categorias.map(({ nombre }) => nombre),
+      books: seedWeights.size
+    },
+    fallback
+  };
+};
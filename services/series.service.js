@@ -0,0 +1,78 @@
+// services/series.service.js
+import * as seriesRepository from "../repositories/series.repository.js";
+import * as bookRepository from "../repositories/book.repository.js";
+import { buildUniqueSlug } from "../utils/search.utils.js";
+
+const generateSeriesSlug = (nombre) => buildUniqueSlug(nombre, seriesRepository.slugExists, 'saga');
+
+/**
+ * Resuelve el ID de una saga a partir de su slug o ID.
+ * @param {string} slugOrId - El slug o el ID de la saga.
+ * @returns {Promise<object|null>} El ID, o null si no existe.
+ */
+export const resolveSeriesId = async (slugOrId) => {
+  const series = bookRepository.isObjectIdString(slugOrId)
+    ? await seriesRepository.findById(slugOrId)
+    : await seriesRepository.findBySlug(slugOrId);
+  return series ? series._id : null;
+};
+
+/**
+ * Datos de la saga para el detalle de un libro: nombre, número de volumen y
+ * los volúmenes anterior y siguiente.
+ * @param {object} book - El libro (con `series` y `seriesIndex`).
+ * @returns {Promise<object|null>} La información de la saga, o null si el libro no pertenece a una.
+ */
+export const getSeriesInfo = async (book) => {
+  if (!book.series) return null;
+
+  const series = await seriesRepository.findById(book.series);
+  if (!series) return null;
+
+  // Sin número de volumen no se puede ubicar al libro dentro de la saga
+  const { previous, next } = book.seriesIndex !== undefined && book.seriesIndex !== null
+    ? await bookRepository.findSeriesNeighbors(series._id, book.seriesIndex)
+    : { previous: null, next: null };
+
+  return {
+    _id: series._id,
+    nombre: series.nombre,
+    slug: series.slug,
+    seriesIndex: book.seriesIndex ?? null,
+    previous,
+    next
+  };
+};
+
+export const getSeriesPage = async (slug) => {
+  const series = await seriesRepository.findBySlug(slug);
+  if (!series) {
+    throw new Error('Saga no encontrada.');
+  }
+
+  const volumes = await bookRepository.findSeriesVolumes(series._id);
+  return { series, volumes };
+};
+
+export const createSeries = async ({ nombre, descripcion, autorRef }) => {
+  return await seriesRepository.create({
+    nombre,
+    descripcion,
+    autorRef,
+    slug: await generateSeriesSlug(nombre)
+  });
+};
+
+export const updateSeries = async (id, { nombre, descripcion, autorRef }) => {
+  const updateData = {};
+  // El slug no cambia para no romper las URLs ya publicadas (como en los autores)
+  if (nombre !== undefined) updateData.nombre = nombre;
+  if (descripcion !== undefined) updateData.descripcion = descripcion;
+  if (autorRef !== undefined) updateData.autorRef = autorRef || null;
+
+  const series = await seriesRepository.findByIdAndUpdate(id, updateData);
+  if (!series) {
+    throw new Error('Saga no encontrada.');
+  }
+  return series;
+};
@@ -0,0 +1,179 @@
+// services/shelf.service.js
+// Biblioteca personal: estantes "quiero leer", "leyendo" y "leído" con el avance de lectura.
+import * as userBookRepository from "../repositories/userBook.repository.js";
+import * as bookRepository from "../repositories/book.repository.js";
+
+export const SHELF_STATUSES = ['quiero_leer', 'leyendo', 'leido'];
+
+// Resuelve el libro a partir del slug o ID recibido en la URL
+const resolveBook = async (slugOrId) => {
+  const book = await bookRepository.findBySlugOrId(slugOrId);
+  if (!book) {
+    throw new Error('Libro no encontrado.');
+  }
+  return book;
+};
+
+const validateStatus = (status) => {
+  if (!SHELF_STATUSES.includes(status)) {
+    throw new Error('Estado inválido.');
+  }
+};
+
+// null o '' borra la fecha
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('Fecha inválida.');
+  }
+  return date;
+};
+
+const parseNumber = (value) => {
+  const number = Number(value);
+  if (value === null || value === '' || Number.isNaN(number) || number < 0) {
+    throw new Error('El avance debe ser un número positivo.');
+  }
+  return number;
+};
+
+export const getShelf = async (userId, status, page, limit) => {
+  if (status) validateStatus(status);
+
+  const [{ entries, totalCount }, counts] = await Promise.all([
+    userBookRepository.findByUser(userId, status, page, limit),
+    userBookRepository.countByStatus(userId)
+  ]);
+
+  const countsByStatus = Object.fromEntries(SHELF_STATUSES.map(value => [value, 0]));
+  for (const { _id, count } of counts) countsByStatus[_id] = count;
+
+  return {
+    entries,
+    counts: countsByStatus,
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+export const getShelfEntry = async (userId, slugOrId) => {
+  const book = await resolveBook(slugOrId);
+  const entry = await userBookRepository.findByUserAndBook(userId, book._id);
+  if (!entry) {
+    throw new Error('El libro no está en tu biblioteca.');
+  }
+  return entry;
+};
+
+/**
+ * Agrega un libro a la biblioteca o actualiza su estado y avance.
+ * - "leyendo" completa la fecha de inicio si falta.
+ * - "leido" completa la fecha de fin y deja el avance en 100%; volver a otro estado borra la
+ *   fecha de fin y deja el avance en 0 (salvo que se envíe uno nuevo).
+ * - `currentPage` calcula el porcentaje con las `paginas` del libro; `progress` calcula la página.
+ * @param {string} userId - El ID del usuario.
+ * @param {string} slugOrId - El slug o ID del libro.
+ * @param {object} data - `{ status, startedAt, finishedAt, progress, currentPage }` (todos opcionales).
+ * @returns {Promise<object>} La entrada guardada.
+ */
+export const saveShelfEntry = async (userId, slugOrId, data) => {
+  const book = await resolveBook(slugOrId);
+  const existing = await userBookRepository.findByUserAndBook(userId, book._id);
+  const paginas = book.paginas > 0 ? book.paginas : null;
+
+  const status = data.status ?? existing?.status ?? 'quiero_leer';
+  validateStatus(status);
+  // Al salir de "leido" el 100% y la última página eran de haberlo terminado: el avance vuelve a 0
+  const leftFinished = existing?.status === 'leido' && status !== 'leido';
+
+  const entry = {
+    status,
+    startedAt: data.startedAt !== undefined ? parseDate(data.startedAt) : existing?.startedAt ?? null,
+    finishedAt: data.finishedAt !== undefined ? parseDate(data.finishedAt) : existing?.finishedAt ?? null,
+    progress: leftFinished ? 0 : existing?.progress ?? 0
+  };
+  if (leftFinished) entry.currentPage = 0;
+  else if (existing?.currentPage !== undefined) entry.currentPage = existing.currentPage;
+
+  if (data.currentPage !== undefined) {
+    const currentPage = parseNumber(data.currentPage);
+    if (paginas && currentPage > paginas) {
+      throw new Error('La página supera la cantidad de páginas del libro.');
+    }
+    entry.currentPage = currentPage;
+    if (paginas) entry.progress = Math.round((currentPage / paginas) * 100);
+  } else if (data.progress !== undefined) {
+    const progress = parseNumber(data.progress);
+    if (progress > 100) {
+      throw new Error('El avance no puede superar el 100%.');
+    }
+    entry.progress = progress;
+    if (paginas) entry.currentPage = Math.round((progress / 100) * paginas);
+  }
+
+  if (status === 'leyendo' && !entry.startedAt) {
+    entry.startedAt = new Date();
+  }
+  if (status === 'leido') {
+    if (!entry.finishedAt) entry.finishedAt = new Date();
+    entry.progress = 100;
+    if (paginas) entry.currentPage = paginas;
+  } else {
+    entry.finishedAt = null;
+  }
+
+  if (entry.startedAt && entry.finishedAt && entry.finishedAt < entry.startedAt) {
+    throw new Error('La fecha de fin no puede ser anterior a la de inicio.');
+  }
+
+  return await userBookRepository.upsert(userId, book._id, entry);
+};
+
+export const removeShelfEntry = async (userId, slugOrId) => {
+  const book = await resolveBook(slugOrId);
+  const removed = await userBookRepository.remove(userId, book._id);
+  if (!removed) {
+    throw new Error('El libro no está en tu biblioteca.');
+  }
+  return removed;
+};
+
+/**
+ * Estadísticas de lectura de un año: libros terminados y páginas leídas, por mes y en total.
+ * @param {string} userId - El ID del usuario.
+ * @param {number} year - El año (UTC).
+ * @returns {Promise<object>} `{ year, booksFinished, pagesRead, byMonth, currentlyReading }`.
+ */
+export const getReadingStats = async (userId, year) => {
+  if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+    throw new Error('Año inválido.');
+  }
+
+  const [months, counts] = await Promise.all([
+    userBookRepository.getFinishedByMonth(
+      userId,
+      new Date(Date.UTC(year, 0, 1)),
+      new Date(Date.UTC(year + 1, 0, 1))
+    ),
+    userBookRepository.countByStatus(userId)
+  ]);
+
+  const byMonth = Array.from({ length: 12 }, (_, i) => ({ month: i + 1, books: 0, pages: 0 }));
+  for (const { _id, books, pages } of months) {
+    byMonth[_id - 1].books = books;
+    byMonth[_id - 1].pages = pages;
+  }
+
+  return {
+    year,
+    booksFinished: byMonth.reduce((sum, month) => sum + month.books, 0),
+    pagesRead: byMonth.reduce((sum, month) => sum + month.pages, 0),
+    byMonth,
+    currentlyReading: counts.find(({ _id }) => _id === 'leyendo')?.count || 0
+  };
+};
@@ -0,0 +1,94 @@
+// services/similar.service.js
+// "Libros similares": combina categorías compartidas, mismo autor, mismo idioma y
+// co-calificaciones (quienes calificaron alto este libro también calificaron alto X).
+import * as bookRepository from "../repositories/book.repository.js";
+import * as ratingRepository from "../repositories/rating.repository.js";
+import * as similarBooksRepository from "../repositories/similarBooks.repository.js";
+
+// Peso de cada señal en el puntaje
+const WEIGHTS = { category: 3, author: 4, idioma: 1, coRating: 2 };
+// Calificación mínima que cuenta como "le gustó"
+const HIGH_RATING = 4;
+// Usuarios y libros co-calificados que se tienen en cuenta
+const MAX_FANS = 500;
+const MAX_CO_RATED = 50;
+// Candidatos por datos del libro y resultados que se guardan
+const MAX_CANDIDATES = 200;
+const MAX_RESULTS = 30;
+// Las co-calificaciones cambian con el tiempo: la caché se recalcula cada tanto
+const CACHE_TTL_MS = 12 * 60 * 60 * 1000;
+
+const computeSimilar = async (book) => {
+  const coRated = await ratingRepository.findCoRatedBooks(book._id, HIGH_RATING, MAX_FANS, MAX_CO_RATED);
+  const candidates = await bookRepository.findSimilarCandidates(
+    book,
+    WEIGHTS,
+    coRated.map(({ _id }) => _id),
+    MAX_CANDIDATES
+  );
+
+  const coCount = new Map(coRated.map(({ _id, count }) => [_id.toString(), count]));
+  return candidates
+    .map(({ _id, score }) => ({
+      book: _id,
+      // Muchos usuarios en común suman, pero con rendimiento decreciente
+      score: score + WEIGHTS.coRating * Math.log2(1 + (coCount.get(_id.toString()) || 0))
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+};
+
+/**
+ * Similares de un libro desde la caché (o calculados y guardados si no están).
+ * @param {object} book - El libro (`_id`, `categorias`, `autorRef`, `idioma`).
+ * @returns {Promise<object[]>} `{ book: id, score }` de más a menos parecido.
+ */
+export const getSimilarResults = async (book) => {
+  const cached = await similarBooksRepository.findByBook(book._id);
+  if (cached) return cached.results;
+
+  const saved = await similarBooksRepository.save(book._id, {
+    categorias: book.categorias,
+    results: await computeSimilar(book),
+    expiresAt: new Date(Date.now() + CACHE_TTL_MS)
+  });
+  return saved.results;
+};
+
+/**
+ * Libros similares a uno, de más a menos parecido. Se guardan en caché por libro.
+ * @param {string} slugOrId - El slug o ID del libro.
+ * @param {number} limit - La cantidad de libros a devolver (máximo 30).
+ * @returns {Promise<object>} `{ books }`, cada uno con su `similarity`.
+ */
+export const getSimilarBooks = async (slugOrId, limit) => {
+  const book = await bookRepository.findBySlugOrId(slugOrId);
+  if (!book) {
+    throw new Error('Libro no encontrado.');
+  }
+
+  const results = (await getSimilarResults(book)).slice(0, limit);
+  const cards = await bookRepository.findCardsByIds(results.map(result => result.book));
+  const scoreById = new Map(results.map(({ book: id, score }) => [id.toString(), score]));
+
+  return {
+    books: cards.map(card => ({
+      ...card,
+      similarity: Math.round(scoreById.get(card._id.toString()) * 100) / 100
+    }))
+  };
+};
+
+/**
+ * Borra de la caché los similares afectados por un cambio de libros o categorías.
+ * No falla la operación principal si no se puede borrar (la caché vence sola).
+ * @param {object} changes - `{ bookIds: [], categorias: [] }`.
+ */
+export const invalidateSimilar = async (changes) => {
+  try {
+    await similarBooksRepository.invalidate(changes);
+  } catch (error) {
+    console.error("Error al invalidar los libros similares:", error.message);
+  }
+};
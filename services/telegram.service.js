@@ -1,5 +1,4 @@
 import { Telegraf } from 'telegraf';
-import * as telegramRepository from '../repositories/telegram.repository.js';
 
 
 export const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN /*|| '8558166827:AAE3yoxSFtooRBQKaBtggrM55v096tkfnPM'*/);
@@ -35,6 +34,7 @@ export const resendFileById = async (fileId, chatId) => {
     } catch (e) { handleTelegramError(e, 'resendFileById'); }
 };
 
+// El link lleva el token del bot: es solo para uso interno, nunca se entrega a los usuarios
 export const getDownloadUrl = async (fileId) => {
     try {
         const file = await bot.telegram.getFile(fileId);
@@ -42,18 +42,30 @@ export const getDownloadUrl = async (fileId) => {
     } catch (e) { handleTelegramError(e, 'getDownloadUrl'); }
 };
 
+const CAPTION_MAX_LENGTH = 1024;
 
+// El caption va con parse_mode HTML: el texto de los libros no puede traer etiquetas
+const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
+// Recorta texto ya escapado sin dejar una entidad (&amp;) a medias
+const clip = (html, max) => {
+    if (html.length <= max) return html;
+    return `${html.substring(0, Math.max(max - 1, 0)).replace(/&[a-z]*$/, '')}…`;
+};
 
+// Caption del archivo en el canal. Telegram lo limita a 1024 caracteres: se escapa cada campo
+// y se recorta la sinopsis (no el HTML armado) para que las etiquetas queden cerradas
+export const buildBookCaption = (book) => {
+    const categorias = [].concat(book.categorias || []).filter(Boolean);
+    const header = [
+        `<b>📖 Título:</b> ${clip(escapeHtml(book.titulo || 'N/A'), 200)}`,
+        `<b>✍️ Autor:</b> ${clip(escapeHtml(book.autor || 'N/A'), 150)}`,
+        `<b>📅 Año:</b> ${escapeHtml(book.anio || 'N/A')}`,
+        `<b>📂 Categorías:</b> ${categorias.length ? clip(escapeHtml(categorias.join(', ')), 200) : 'Sin Categoría'}`
+    ].join('\n');
 
-export const processAndUpload = async (file, bookData) => {
-    const caption = `<b>📖 Título:</b> ${bookData.titulo}
-    \n<b>✍️ Autor:</b> ${bookData.autor}
-    \n<b>📅 Año:</b> ${bookData.anio} 
-     \n<b>📂 Categorías:</b> ${bookData.categorias}
-    \n<b>📖 Sinopsis:</b> ${bookData.sinopsis}
-   `;
-    //console.log('Procesando y subiendo archivo a Telegram con caption:', file.originalname, bookData.titulo);
-    // Llamamos al repository
-    return await telegramRepository.uploadDocument(file.buffer, bookData.titulo, caption);
-};
\ No newline at end of file
+    const synopsisTemplate = (text) => `\n\n<b>📖 Sinopsis:</b> <i>${text}</i>`;
+    const room = CAPTION_MAX_LENGTH - header.length - synopsisTemplate('').length;
+    const sinopsis = clip(escapeHtml(book.sinopsis || 'Sin sinopsis disponible.'), room);
+    return room > 0 ? header + synopsisTemplate(sinopsis) : header;
+};
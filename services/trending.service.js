@@ -0,0 +1,108 @@
+// services/trending.service.js
+// Tendencias: un job periódico suma las señales de popularidad de cada libro por
+// ventana de tiempo, con decaimiento para que los picos viejos se apaguen.
+import * as trendingRepository from "../repositories/trending.repository.js";
+import * as bookRepository from "../repositories/book.repository.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Duración de cada ventana y vida media de los eventos dentro de ella
+// (un evento de hace una vida media pesa la mitad que uno de ahora)
+export const TRENDING_WINDOWS = {
+  '24h': { durationMs: 24 * HOUR_MS, halfLifeMs: 6 * HOUR_MS },
+  '7d': { durationMs: 7 * 24 * HOUR_MS, halfLifeMs: 36 * HOUR_MS },
+  '30d': { durationMs: 30 * 24 * HOUR_MS, halfLifeMs: 7 * 24 * HOUR_MS }
+};
+
+// Peso de cada señal en el puntaje
+const SIGNAL_WEIGHTS = { view: 1, download: 3, rating: 4, favorite: 5 };
+
+const RANKINGS = ['score', 'downloads'];
+
+/**
+ * Valida la ventana pedida.
+ * @param {string} [window] - '24h', '7d' o '30d' (7d si no se indica).
+ * @returns {string} La ventana.
+ */
+export const resolveWindow = (window) => {
+  const resolved = window || '7d';
+  if (!TRENDING_WINDOWS[resolved]) {
+    throw new Error('Ventana inválida.');
+  }
+  return resolved;
+};
+
+/**
+ * Recalcula la popularidad de todas las ventanas.
+ * @returns {Promise<object>} Cantidad de libros con actividad por ventana.
+ */
+export const refreshTrending = async () => {
+  const now = new Date();
+  const result = {};
+
+  for (const [window, { durationMs, halfLifeMs }] of Object.entries(TRENDING_WINDOWS)) {
+    const scores = await trendingRepository.computeScores({
+      since: new Date(now.getTime() - durationMs),
+      now,
+      halfLifeMs,
+      weights: SIGNAL_WEIGHTS
+    });
+    result[window] = await bookRepository.setPopularity(window, scores, now);
+  }
+  return result;
+};
+
+/**
+ * Registra una vista del detalle de un libro. No falla la respuesta si no se puede guardar.
+ * @param {string} bookId - El ID del libro.
+ * @param {string} [userId] - El usuario, si hay sesión.
+ */
+export const recordView = async (bookId, userId) => {
+  try {
+    await trendingRepository.createEvent({ book: bookId, type: 'view', user: userId });
+  } catch (error) {
+    console.error("Error al registrar la vista:", error.message);
+  }
+};
+
+/**
+ * Registra que un usuario agregó un libro a favoritos.
+ * @param {string} bookId - El ID del libro.
+ * @param {string} userId - El usuario.
+ */
+export const recordFavorite = async (bookId, userId) => {
+  try {
+    await trendingRepository.createEvent({ book: bookId, type: 'favorite', user: userId });
+  } catch (error) {
+    console.error("Error al registrar el favorito:", error.message);
+  }
+};
+
+/**
+ * Ranking de una ventana.
+ * @param {string} [window] - '24h', '7d' o '30d'.
+ * @param {string} [by] - 'score' (tendencias) o 'downloads' (más descargados).
+ * @param {number} page - El número de página actual.
+ * @param {number} limit - La cantidad de libros por página.
+ * @returns {Promise<object>} `{ books, window, by, metadata }`.
+ */
+export const getTrending = async (window, by, page, limit) => {
+  const resolvedWindow = resolveWindow(window);
+  const ranking = by || 'score';
+  if (!RANKINGS.includes(ranking)) {
+    throw new Error('Ranking inválido.');
+  }
+
+  const { books, totalCount } = await bookRepository.findTrending(resolvedWindow, ranking, page, limit);
+  return {
+    books,
+    window: resolvedWindow,
+    by: ranking,
+    metadata: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit)
+    }
+  };
+};
@@ -3,10 +3,16 @@ import {
     findUserByUsername,
     findUserByIdAndUpdate,
     findUserByIdAndRemove,
-    findUserByEmailAndUpdate
+    findUserByEmailAndUpdate,
+    addFavorite,
+    removeFavorite,
+    isFavorite,
+    findFavorites
   } from "../repositories/user.repository.js";
+  import { findById as findBookById } from "../repositories/book.repository.js";
   import { hashPassword, comparePassword, generateToken } from "../utils/auth.utils.js";
   import { updateSubscriptionData } from "../repositories/user.repository.js";
+  import { recordFavorite } from "./trending.service.js";
 
 
 
@@ -54,6 +60,50 @@ import {
 
 
 
+  //favoritos
+  export const addFavoriteBook = async (userId, bookId) => {
+    const book = await findBookById(bookId);
+    if (!book) {
+      throw new Error("Libro no encontrado.");
+    }
+
+    const wasFavorite = await isFavorite(userId, bookId);
+    const user = await addFavorite(userId, bookId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+    // Solo un favorito nuevo cuenta para las tendencias
+    if (!wasFavorite) await recordFavorite(bookId, userId);
+    return user.favoritos;
+  };
+
+  export const removeFavoriteBook = async (userId, bookId) => {
+    const user = await removeFavorite(userId, bookId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+    return user.favoritos;
+  };
+
+  export const getFavoriteBooks = async (userId, page, limit) => {
+    const result = await findFavorites(userId, page, limit);
+    if (!result) {
+      throw new Error("User not found");
+    }
+
+    return {
+      books: result.books,
+      metadata: {
+        page,
+        limit,
+        totalCount: result.totalCount,
+        totalPages: Math.ceil(result.totalCount / limit)
+      }
+    };
+  };
+
+
+
   //suscripcion
   export const processSubscriptionUpdate = async (email, creemData) => {
     // Aquí el servicio solo se encarga de llamar al repositorio 
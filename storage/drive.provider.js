@@ -0,0 +1,121 @@
+// storage/drive.provider.js
+// Archivos en Google Drive. Leer usa el link público de descarga (como siempre); subir y borrar
+// usan la API con la cuenta de servicio de GOOGLE_DRIVE_CREDENTIALS (ruta al JSON de la clave).
+import axios from 'axios';
+import { Readable } from 'stream';
+import { streamFromUrl } from '../utils/http.utils.js';
+
+const DRIVE_HEADERS = { 'User-Agent': 'Mozilla/5.0' };
+// Carpeta donde se suben los archivos nuevos
+const FOLDER_ID = process.env.GOOGLE_DRIVE_FOLDER_ID;
+
+const getFileId = (link) => link?.match(/[-\w]{25,}/)?.[0] || null;
+
+const getDownloadUrl = (edition) => {
+  const fileId = getFileId(edition.link);
+  if (!fileId) {
+    throw new Error('El link de Drive no es válido.');
+  }
+  return `https://docs.google.com/uc?export=download&id=${fileId}`;
+};
+
+// Cliente de la API; googleapis se carga recién cuando se necesita (es pesado)
+let driveClient;
+const getDrive = async () => {
+  if (!process.env.GOOGLE_DRIVE_CREDENTIALS) {
+    throw new Error('Falta configurar GOOGLE_DRIVE_CREDENTIALS.');
+  }
+  if (!driveClient) {
+    const { google } = await import('googleapis');
+    const auth = new google.auth.GoogleAuth({
+      keyFile: process.env.GOOGLE_DRIVE_CREDENTIALS,
+      scopes: ['https://www.googleapis.com/auth/drive']
+    });
+    driveClient = google.drive({ version: 'v3', auth });
+  }
+  return driveClient;
+};
+
+const head = (edition) => axios.head(getDownloadUrl(edition), {
+  headers: DRIVE_HEADERS,
+  timeout: 30000,
+  validateStatus: () => true
+});
+
+// Drive responde con una página HTML cuando no entrega el archivo (no existe, sin permisos
+// o el aviso de "no se pudo analizar en busca de virus" de los archivos grandes)
+const isHtml = (mimeType) => (mimeType || '').startsWith('text/html');
+const VIRUS_WARNING = /uc-download-link|download-form|virus scan|analizar en busca de virus/i;
+
+export default {
+  name: 'drive',
+
+  upload: async ({ source, filename, mimeType }) => {
+    const drive = await getDrive();
+    const { data } = await drive.files.create({
+      requestBody: { name: filename, parents: FOLDER_ID ? [FOLDER_ID] : undefined },
+      media: { mimeType, body: Buffer.isBuffer(source) ? Readable.from(source) : source },
+      fields: 'id, size, mimeType'
+    });
+    // Cualquiera con el link puede descargarlo (como los archivos cargados a mano)
+    await drive.permissions.create({ fileId: data.id, requestBody: { role: 'reader', type: 'anyone' } });
+
+    return {
+      storage: 'drive',
+      link: `https://drive.google.com/file/d/${data.id}/view`,
+      mimeType: data.mimeType,
+      fileSize: parseInt(data.size) || 0
+    };
+  },
+
+  stream: async (edition, range) => {
+    const file = await streamFromUrl(getDownloadUrl(edition), range, DRIVE_HEADERS);
+    if (isHtml(file.mimeType)) {
+      file.stream.destroy();
+      throw new Error('Drive no entregó el archivo.');
+    }
+    return file;
+  },
+
+  exists: async (edition) => {
+    const response = await head(edition);
+    if (response.status >= 400) return false;
+    if (!isHtml(response.headers['content-type'])) return true;
+    // Los archivos grandes responden con el aviso de virus (el archivo existe); sin permisos,
+    // con la página de inicio de sesión
+    const page = await axios.get(getDownloadUrl(edition), { headers: DRIVE_HEADERS, timeout: 30000, responseType: 'text' });
+    return VIRUS_WARNING.test(page.data);
+  },
+
+  size: async (edition) => {
+    const response = await head(edition);
+    if (response.status >= 400) {
+      throw new Error(`Drive respondió ${response.status}.`);
+    }
+    // Página de aviso en lugar del archivo: no se sabe el tamaño
+    if (isHtml(response.headers['content-type'])) return null;
+    return parseInt(response.headers['content-length']) || null;
+  },
+
+  delete: async (edition) => {
+    const fileId = getFileId(edition.link);
+    if (!fileId) {
+      throw new Error('El link de Drive no es válido.');
+    }
+    const drive = await getDrive();
+    await drive.files.delete({ fileId });
+  },
+
+  getUrl: async (edition) => edition.link,
+
+  // Solo Drive: nombre, descripción, propiedades, tamaño y fecha de creación del archivo (API)
+  metadata: async (edition) => {
+    const fileId = getFileId(edition.link);
+    if (!fileId) {
+      throw new Error('El link de Drive no es válido.');
+    }
+    const drive = await getDrive();
+    const { data } = await drive.files.get({ fileId, fields: 'name, description, properties, size, createdTime' });
+    return data;
+  }
+};
@@ -0,0 +1,112 @@
+// storage/index.js
+// Dónde están guardados los archivos de los libros. Cada edición (`files`) indica su `storage`
+// y el resto del código pide los archivos por acá, sin importar dónde estén.
+//
+// Cada proveedor expone:
+// - name: el valor de `storage` en las ediciones ('drive', 'telegram', 'local').
+// - upload({ source, filename, mimeType, caption }): sube un Buffer o stream; devuelve los campos
+//   de la edición que dicen dónde quedó (`storage`, `link` / `telegram` / `path`, `mimeType`, `fileSize`).
+// - stream(edition, range): abre el archivo (`range` = `{ start, end }` opcional); devuelve
+//   `{ stream, mimeType, totalSize, range }` (`range` null si se entrega entero).
+// - exists(edition): si el archivo sigue estando.
+// - size(edition): el tamaño en bytes, o null si no se sabe.
+// - delete(edition): borra el archivo.
+// - getUrl(edition): link de descarga directa y público (opcional: los archivos locales y los de
+//   Telegram no tienen; se entregan por stream).
+//
+// stream() lanza 'Rango no satisfacible.' si el rango empieza después del final del archivo.
+import driveProvider from './drive.provider.js';
+import telegramProvider from './telegram.provider.js';
+import localProvider from './local.provider.js';
+import { withLegacyFiles } from '../utils/file.utils.js';
+
+const providers = new Map([driveProvider, telegramProvider, localProvider].map(provider => [provider.name, provider]));
+
+// Orden en que se prueban las copias de un libro: primero las más rápidas y que no pasan por el bot
+const PRIORITY = (process.env.STORAGE_PRIORITY || 'local,drive,telegram').split(',').map(name => name.trim());
+
+/**
+ * Devuelve un proveedor por nombre.
+ * @param {string} name - 'drive', 'telegram' o 'local'.
+ * @returns {object} El proveedor.
+ */
+export const getStorageProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Almacenamiento desconocido: ${name}.`);
+  }
+  return provider;
+};
+
+const rank = (edition) => {
+  const index = PRIORITY.indexOf(edition.storage);
+  return index === -1 ? PRIORITY.length : index;
+};
+
+/**
+ * Copias disponibles de un libro (incluido el archivo principal de antes de las ediciones),
+ * en el orden en que conviene usarlas.
+ * @param {object} book - El libro.
+ * @param {string} [format] - Solo las de este formato ('PDF', 'EPUB', ...).
+ * @returns {object[]} Las ediciones.
+ */
+export const listBookCopies = (book, format) => {
+  const editions = withLegacyFiles(book.files || [], book)
+    .filter(edition => edition.isAvailable !== false && providers.has(edition.storage));
+  if (editions.length === 0) {
+    throw new Error('El libro no tiene archivos disponibles.');
+  }
+
+  const matching = format
+    ? editions.filter(edition => edition.format === format.toUpperCase())
+    : editions;
+  if (matching.length === 0) {
+    throw new Error('Formato no disponible.');
+  }
+  return matching.sort((a, b) => rank(a) - rank(b));
+};
+
+// Prueba las copias en orden hasta que una funcione. Si ninguna devolvió nada y ninguna falló,
+// devuelve null.
+const withFallback = async (book, format, action) => {
+  const copies = listBookCopies(book, format);
+  const errors = [];
+  for (const edition of copies) {
+    try {
+      const result = await action(getStorageProvider(edition.storage), edition);
+      if (result) return { ...result, edition };
+    } catch (error) {
+      // Un rango fuera del archivo falla igual en todas las copias
+      if (error.message === 'Rango no satisfacible.') throw error;
+      errors.push(`${edition.storage}: ${error.message}`);
+    }
+  }
+  if (errors.length === 0) return null;
+
+  console.warn(`Ninguna copia de "${book.titulo}" respondió:`, errors.join(' | '));
+  throw new Error('No se pudo acceder a ninguna copia del archivo.');
+};
+
+/**
+ * Abre el archivo de un libro desde la mejor copia disponible; si falla, prueba con la siguiente.
+ * @param {object} book - El libro.
+ * @param {object} [options] - `{ format, range }`.
+ * @returns {Promise<object>} `{ stream, mimeType, totalSize, range, edition }`.
+ */
+export const openBookFile = async (book, { format, range } = {}) => {
+  return await withFallback(book, format, (provider, edition) => provider.stream(edition, range));
+};
+
+/**
+ * Link de descarga directa del archivo de un libro, de la mejor copia que tenga uno.
+ * @param {object} book - El libro.
+ * @param {string} [format] - El formato pedido.
+ * @returns {Promise<object|null>} `{ url, edition }`, o null si ninguna copia tiene link público.
+ */
+export const resolveBookFileUrl = async (book, format) => {
+  return await withFallback(book, format, async (provider, edition) => {
+    if (!provider.getUrl) return null;
+    const url = await provider.getUrl(edition);
+    return url ? { url } : null;
+  });
+};
@@ -0,0 +1,71 @@
+// storage/local.provider.js
+// Archivos en el disco del servidor, dentro de BOOK_STORAGE_DIR. No tienen URL pública:
+// se entregan por stream desde la API.
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+const BOOK_STORAGE_DIR = process.env.BOOK_STORAGE_DIR || path.join(process.cwd(), 'uploads', 'libros');
+
+// El nombre guardado no puede salir del directorio
+const resolvePath = (edition) => {
+  if (!edition.path) {
+    throw new Error('El archivo local no tiene ruta.');
+  }
+  return path.join(BOOK_STORAGE_DIR, path.basename(edition.path));
+};
+
+const statOrNull = async (edition) => {
+  try {
+    return await fsPromises.stat(resolvePath(edition));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+export default {
+  name: 'local',
+
+  upload: async ({ source, filename, mimeType }) => {
+    await fsPromises.mkdir(BOOK_STORAGE_DIR, { recursive: true });
+    const name = `${crypto.randomUUID()}${path.extname(filename || '').toLowerCase()}`;
+    const target = path.join(BOOK_STORAGE_DIR, name);
+
+    if (Buffer.isBuffer(source)) {
+      await fsPromises.writeFile(target, source);
+    } else {
+      await pipeline(source, fs.createWriteStream(target));
+    }
+    const { size } = await fsPromises.stat(target);
+    return { storage: 'local', path: name, mimeType, fileSize: size };
+  },
+
+  stream: async (edition, range) => {
+    const stat = await statOrNull(edition);
+    if (!stat) {
+      throw new Error('El archivo local no existe.');
+    }
+    const start = range?.start ?? 0;
+    if (range && start >= stat.size) {
+      throw new Error('Rango no satisfacible.');
+    }
+    const end = Math.min(range?.end ?? stat.size - 1, stat.size - 1);
+    return {
+      stream: fs.createReadStream(resolvePath(edition), { start, end }),
+      mimeType: edition.mimeType,
+      totalSize: stat.size,
+      range: range ? { start, end } : null
+    };
+  },
+
+  exists: async (edition) => Boolean(await statOrNull(edition)),
+
+  size: async (edition) => (await statOrNull(edition))?.size ?? null,
+
+  delete: async (edition) => {
+    await fsPromises.rm(resolvePath(edition), { force: true });
+  }
+};
@@ -0,0 +1,63 @@
+// storage/telegram.provider.js
+// Archivos en el canal de Telegram (TELEGRAM_CHANNEL_ID). El bot sube archivos de hasta 50 MB
+// y descarga de hasta 20 MB; los más grandes solo se pueden reenviar (/telegram/resend).
+import * as telegramRepository from '../repositories/telegram.repository.js';
+import { streamFromUrl } from '../utils/http.utils.js';
+
+// Error de la API de Telegram cuando el archivo supera el límite de descarga del bot
+const isTooBig = (error) => /file is too big/i.test(error.message);
+
+export default {
+  name: 'telegram',
+
+  upload: async ({ source, filename, caption }) => {
+    const message = await telegramRepository.uploadDocument(source, filename, caption);
+    const { document } = message;
+    return {
+      storage: 'telegram',
+      telegram: {
+        fileId: document.file_id,
+        fileUniqueId: document.file_unique_id,
+        messageId: message.message_id
+      },
+      mimeType: document.mime_type,
+      fileSize: document.file_size || 0
+    };
+  },
+
+  stream: async (edition, range) => {
+    const file = await telegramRepository.getFile(edition.telegram.fileId);
+    return await streamFromUrl(telegramRepository.getFileUrl(file.file_path), range);
+  },
+
+  exists: async (edition) => {
+    try {
+      await telegramRepository.getFile(edition.telegram.fileId);
+      return true;
+    } catch (error) {
+      // Existe, pero el bot no lo puede descargar
+      if (isTooBig(error)) return true;
+      if (error.response?.error_code === 400) return false;
+      throw error;
+    }
+  },
+
+  size: async (edition) => {
+    try {
+      const file = await telegramRepository.getFile(edition.telegram.fileId);
+      return file.file_size ?? null;
+    } catch (error) {
+      if (isTooBig(error)) return edition.fileSize || null;
+      throw error;
+    }
+  },
+
+  delete: async (edition) => {
+    if (!edition.telegram?.messageId) {
+      throw new Error('No se guardó el mensaje del archivo en Telegram: no se puede borrar.');
+    }
+    await telegramRepository.deleteMessage(edition.telegram.messageId);
+  }
+  // Sin getUrl: el link de descarga de la API lleva el token del bot, así que estos archivos
+  // se entregan siempre por stream (GET /books/:idBook/download)
+};
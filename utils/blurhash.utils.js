@@ -0,0 +1,80 @@
+// utils/blurhash.utils.js
+// Codificación BlurHash (https://blurha.sh): una cadena corta que el frontend dibuja como una
+// versión borrosa de la imagen mientras carga la real.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+const encode83 = (value, length) => {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    result += DIGITS[Math.floor(value / 83 ** (length - i)) % 83];
+  }
+  return result;
+};
+
+const sRGBToLinear = (value) => {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+const linearToSRGB = (value) => {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+};
+
+const signPow = (value, exp) => Math.sign(value) * Math.abs(value) ** exp;
+
+/**
+ * Calcula el BlurHash de una imagen.
+ * @param {Buffer|Uint8Array} pixels - Los píxeles RGB sin encabezado, fila por fila.
+ * @param {number} width - El ancho en píxeles.
+ * @param {number} height - El alto en píxeles.
+ * @param {number} [componentsX] - Detalle horizontal (1 a 9).
+ * @param {number} [componentsY] - Detalle vertical (1 a 9).
+ * @returns {string} El BlurHash.
+ */
+export const encodeBlurhash = (pixels, width, height, componentsX = 4, componentsY = 3) => {
+  const channels = pixels.length / (width * height);
+
+  const factors = [];
+  for (let y = 0; y < componentsY; y++) {
+    for (let x = 0; x < componentsX; x++) {
+      const normalisation = x === 0 && y === 0 ? 1 : 2;
+      let r = 0, g = 0, b = 0;
+      for (let py = 0; py < height; py++) {
+        for (let px = 0; px < width; px++) {
+          const basis = normalisation * Math.cos(Math.PI * x * px / width) * Math.cos(Math.PI * y * py / height);
+          const offset = (py * width + px) * channels;
+          r += basis * sRGBToLinear(pixels[offset]);
+          g += basis * sRGBToLinear(pixels[offset + 1]);
+          b += basis * sRGBToLinear(pixels[offset + 2]);
+        }
+      }
+      const scale = 1 / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]), 4);
+
+  const quantise = (value) => Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5)));
+  for (const [r, g, b] of ac) {
+    hash += encode83(quantise(r) * 19 * 19 + quantise(g) * 19 + quantise(b), 2);
+  }
+  return hash;
+};
@@ -0,0 +1,74 @@
+// utils/epub.utils.js
+// Lectura del paquete de un EPUB: el OPF (metadatos y manifiesto) y los archivos que declara.
+import path from 'path';
+import { listZipEntries, readZipEntry } from './zip.utils.js';
+
+// Texto de un elemento XML: sin CDATA, etiquetas internas ni entidades
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name])
+  .trim();
+
+// Atributos de una etiqueta XML ('<item id="a" href="b"/>' → { id: 'a', href: 'b' })
+const parseAttributes = (tag) => Object.fromEntries(
+  [...tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)].map(match => [match[1], decodeXml(match[3] ?? match[4])])
+);
+
+/**
+ * Abre el paquete de un EPUB. `META-INF/container.xml` indica dónde está el OPF.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @returns {object} `{ opf, manifest: [{ id, href, mediaType, properties }], readFile(href) }`;
+ * los `href` son relativos al OPF y `readFile` devuelve el archivo o null.
+ */
+export const openEpub = (buffer) => {
+  const entries = listZipEntries(buffer);
+  const container = readZipEntry(buffer, entries, 'META-INF/container.xml')?.toString('utf8');
+  const opfPath = container?.match(/<rootfile\b[^>]*\bfull-path="([^"]+)"/i)?.[1];
+  const opf = opfPath && readZipEntry(buffer, entries, decodeURIComponent(opfPath))?.toString('utf8');
+  if (!opf) {
+    throw new Error('El EPUB no tiene el archivo de metadatos (OPF).');
+  }
+
+  const manifest = [...opf.matchAll(/<item\b[^>]*>/gi)].map(match => {
+    const { id, href, 'media-type': mediaType, properties } = parseAttributes(match[0]);
+    return { id, href, mediaType, properties };
+  });
+  const baseDir = path.posix.dirname(decodeURIComponent(opfPath));
+  const readFile = (href) => readZipEntry(buffer, entries, path.posix.join(baseDir, decodeURIComponent(href)));
+
+  return { opf, manifest, readFile };
+};
+
+/**
+ * Valores de un elemento Dublin Core del OPF (<dc:title>, <dc:creator>, ...).
+ * @param {string} opf - El contenido del OPF.
+ * @param {string} tag - El elemento sin prefijo ('title').
+ * @returns {string[]} Los valores en el orden del archivo.
+ */
+export const dcValues = (opf, tag) => [...opf.matchAll(new RegExp(`<dc:${tag}\\b[^>]*>([\\s\\S]*?)</dc:${tag}>`, 'gi'))]
+  .map(match => decodeXml(match[1]))
+  .filter(Boolean);
+
+/**
+ * Imagen de portada declarada en el EPUB: la del manifiesto con `properties="cover-image"` (EPUB 3),
+ * la de `<meta name="cover">` (EPUB 2) o, si no hay ninguna, una imagen con "cover" en su nombre.
+ * @param {object} epub - El paquete (de `openEpub`).
+ * @returns {object|null} El ítem del manifiesto o null.
+ */
+export const findCoverItem = ({ opf, manifest }) => {
+  const images = manifest.filter(item => item.href && item.mediaType?.startsWith('image/'));
+
+  const declared = images.find(item => item.properties?.split(/\s+/).includes('cover-image'));
+  if (declared) return declared;
+
+  const metaTag = [...opf.matchAll(/<meta\b[^>]*>/gi)]
+    .map(match => parseAttributes(match[0]))
+    .find(attributes => attributes.name === 'cover');
+  const byMeta = metaTag && images.find(item => item.id === metaTag.content);
+  if (byMeta) return byMeta;
+
+  return images.find(item => /cover|portada/i.test(`${item.id} ${item.href}`)) || null;
+};
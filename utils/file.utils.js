@@ -0,0 +1,111 @@
+// utils/file.utils.js
+// Datos de los archivos de los libros: formato y huella para detectar duplicados.
+import crypto from 'crypto';
+import path from 'path';
+
+// Formatos de libro permitidos y el tipo MIME con que se entregan
+const MIME_BY_FORMAT = {
+  PDF: 'application/pdf',
+  EPUB: 'application/epub+zip',
+  MOBI: 'application/x-mobipocket-ebook',
+  AZW: 'application/vnd.amazon.ebook',
+  AZW3: 'application/vnd.amazon.ebook',
+  DJVU: 'image/vnd.djvu'
+};
+
+// Formato por tipo MIME (el primero de cada tipo)
+const FORMAT_BY_MIME = Object.fromEntries(Object.entries(MIME_BY_FORMAT).reverse().map(([format, mime]) => [mime, format]));
+
+/**
+ * Formatos de libro permitidos en las ediciones.
+ */
+export const BOOK_FORMATS = Object.keys(MIME_BY_FORMAT);
+
+/**
+ * Indica si un formato es uno de los permitidos.
+ * @param {string} [format] - El formato ('EPUB').
+ * @returns {boolean} true si está en BOOK_FORMATS.
+ */
+export const isBookFormat = (format) => Object.hasOwn(MIME_BY_FORMAT, (format || '').toUpperCase());
+
+/**
+ * Deduce el formato de un archivo por su extensión o, si no tiene, por su tipo MIME. Solo
+ * devuelve formatos permitidos: una extensión desconocida ("libro.exe") no se reconoce.
+ * @param {string} [filename] - El nombre original del archivo ("libro.epub").
+ * @param {string} [mimeType] - El tipo MIME informado.
+ * @returns {string|null} El formato en mayúsculas ('EPUB') o null si no se reconoce.
+ */
+export const getFileFormat = (filename, mimeType) => {
+  const extension = path.extname(filename || '').slice(1).toUpperCase();
+  if (extension) return isBookFormat(extension) ? extension : null;
+  return FORMAT_BY_MIME[mimeType] || null;
+};
+
+/**
+ * Tipo MIME de un formato de libro.
+ * @param {string} format - El formato ('EPUB').
+ * @returns {string|null} El tipo MIME ('application/epub+zip') o null si no se conoce.
+ */
+export const getMimeType = (format) => MIME_BY_FORMAT[(format || '').toUpperCase()] || null;
+
+/**
+ * Nombre de archivo de un libro: el título (sin caracteres inválidos en nombres de archivo)
+ * con la extensión del formato.
+ * @param {object} book - El libro (usa `titulo`).
+ * @param {string} format - El formato ('PDF').
+ * @returns {string} El nombre ("El Túnel.pdf").
+ */
+export const buildBookFilename = (book, format) =>
+  `${(book.titulo || 'libro').replace(/[\\/:"*?<>|\r\n]/g, '').trim() || 'libro'}.${(format || 'pdf').toLowerCase()}`;
+
+/**
+ * Encabezado Content-Disposition para descargar un archivo con su nombre. Va el nombre en
+ * ASCII (sin acentos) para clientes viejos y el original en UTF-8 (RFC 6266).
+ * @param {string} filename - El nombre del archivo.
+ * @returns {string} El valor del encabezado.
+ */
+export const buildContentDisposition = (filename) => {
+  const ascii = filename.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+};
+
+/**
+ * Calcula el SHA-256 del contenido de un archivo.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @returns {string} El hash en hexadecimal.
+ */
+export const computeChecksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Agrega como ediciones el link de Drive y el archivo de Telegram del libro
+ * (los campos de antes de las ediciones) si todavía no están en `files`.
+ * @param {object[]} files - Las ediciones actuales.
+ * @param {object} book - El libro o los datos con `link`, `fileType`, `fileSize` y `telegram`.
+ * @returns {object[]} Las ediciones, con las del archivo principal al final si faltaban.
+ */
+export const withLegacyFiles = (files, book) => {
+  const result = [...files];
+  const fileType = book.fileType || 'PDF';
+
+  if (book.link && !result.some(file => file.storage === 'drive' && file.link === book.link)) {
+    result.push({ format: fileType, storage: 'drive', link: book.link, fileSize: book.fileSize || 0 });
+  }
+
+  const telegram = book.telegram;
+  const isSameTelegramFile = (file) => file.storage === 'telegram' && (
+    telegram.fileUniqueId
+      ? file.telegram?.fileUniqueId === telegram.fileUniqueId
+      : file.telegram?.fileId === telegram.fileId
+  );
+  if (telegram?.fileId && !result.some(isSameTelegramFile)) {
+    result.push({
+      format: getFileFormat(null, telegram.mimeType) || fileType,
+      storage: 'telegram',
+      telegram: { fileId: telegram.fileId, fileUniqueId: telegram.fileUniqueId },
+      mimeType: telegram.mimeType,
+      fileSize: telegram.fileSize || 0,
+      isAvailable: telegram.isAvailable ?? true
+    });
+  }
+  return result;
+};
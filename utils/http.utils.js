@@ -0,0 +1,58 @@
+// utils/http.utils.js
+// Descargas HTTP por stream, con rango de bytes opcional.
+import axios from 'axios';
+
+const CONTENT_RANGE = /bytes (\d+)-(\d+)\/(\d+|\*)/;
+
+/**
+ * Abre la descarga de una URL sin cargarla entera en memoria.
+ * @param {string} url - La URL del archivo.
+ * @param {object} [range] - `{ start, end }` en bytes (inclusive); sin rango, el archivo entero.
+ * @param {object} [headers] - Encabezados extra de la petición.
+ * @returns {Promise<object>} `{ stream, mimeType, totalSize, range }`; `range` es null si el
+ * servidor devolvió el archivo entero (no todos respetan el encabezado Range).
+ */
+export const streamFromUrl = async (url, range, headers = {}) => {
+  const requestHeaders = { ...headers };
+  if (range) requestHeaders.Range = `bytes=${range.start ?? 0}-${range.end ?? ''}`;
+
+  const response = await axios.get(url, { responseType: 'stream', headers: requestHeaders, timeout: 60000 })
+    .catch((error) => {
+      if (error.response?.status === 416) throw new Error('Rango no satisfacible.');
+      throw error;
+    });
+  const contentRange = response.headers['content-range']?.match(CONTENT_RANGE);
+  const partial = response.status === 206 && contentRange;
+
+  return {
+    stream: response.data,
+    mimeType: response.headers['content-type'],
+    totalSize: partial ? parseInt(contentRange[3]) || null : parseInt(response.headers['content-length']) || null,
+    range: partial ? { start: parseInt(contentRange[1]), end: parseInt(contentRange[2]) } : null
+  };
+};
+
+/**
+ * Lee una etiqueta de entidad (ETag) de un encabezado como If-Range. Una fecha no es una
+ * etiqueta y devuelve null.
+ * @param {string} [header] - El valor del encabezado ('"abc"' o 'W/"abc"').
+ * @returns {string|null} La etiqueta sin comillas, o null.
+ */
+export const parseEntityTag = (header) => (header || '').trim().match(/^(?:W\/)?"([^"]+)"$/)?.[1] || null;
+
+/**
+ * Lee el encabezado Range de una petición. Solo se atiende un rango con inicio
+ * ("bytes=500-" o "bytes=500-999"); los demás (sufijos, varios rangos) se ignoran y se
+ * entrega el archivo entero, como permite el RFC 9110.
+ * @param {string} [header] - El valor del encabezado.
+ * @returns {object|null} `{ start, end }` (end puede faltar) o null.
+ */
+export const parseRangeHeader = (header) => {
+  const match = (header || '').trim().match(/^bytes=(\d+)-(\d*)$/);
+  if (!match) return null;
+
+  const start = parseInt(match[1]);
+  const end = match[2] ? parseInt(match[2]) : undefined;
+  if (end !== undefined && end < start) return null;
+  return { start, end };
+};
@@ -0,0 +1,227 @@
+// utils/import.utils.js
+// Lectura de las importaciones masivas de libros: texto ("título autor Nombre https://..."), CSV o JSON.
+import { normalizeText } from './search.utils.js';
+
+export const IMPORT_FORMATS = ['text', 'csv', 'json'];
+
+// Nombres aceptados para cada campo en los encabezados del CSV y las claves del JSON (sin acentos ni mayúsculas)
+const FIELD_ALIASES = {
+  titulo: ['titulo', 'title'],
+  autor: ['autor', 'author'],
+  link: ['link', 'url'],
+  categorias: ['categorias', 'categoria', 'categories'],
+  idioma: ['idioma', 'language'],
+  anio: ['anio', 'ano', 'year'],
+  paginas: ['paginas', 'pages'],
+  fileType: ['filetype', 'formato', 'format'],
+  portada: ['portada', 'cover'],
+  sinopsis: ['sinopsis', 'synopsis'],
+  isPremium: ['ispremium', 'premium'],
+  isExclusive: ['isexclusive', 'exclusive', 'exclusivo']
+};
+const FIELD_BY_ALIAS = new Map(
+  Object.entries(FIELD_ALIASES).flatMap(([field, aliases]) => aliases.map(alias => [alias, field]))
+);
+const toField = (name) => FIELD_BY_ALIAS.get(normalizeText(name).replace(/[\s_-]/g, ''));
+
+// Formato del script de subida masiva: el autor es opcional y el link va al final
+const TEXT_LINE_REGEX = /^(.*?)(?:\s+autor\s+(.*?))?\s+(https?:\/\/\S+)\s*$/i;
+const TRUE_VALUES = ['true', '1', 'si', 'yes', 'x'];
+
+// Quita caracteres de control (BOM, saltos de línea pegados) y espacios de más
+const sanitize = (value) => (value ?? '').toString()
+  .replace(/[\u0000-\u001F\u007F-\u009F\uFEFF]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const getDriveThumbnail = (link) => {
+  const fileId = link.match(/\/d\/([a-zA-Z0-9_-]+)/)?.[1] || new URL(link).searchParams.get('id');
+  return fileId ? `https://drive.google.com/thumbnail?id=${fileId}&sz=w500` : null;
+};
+
+const parseInteger = (value, message) => {
+  const number = Number(sanitize(value));
+  if (!Number.isInteger(number) || number < 0) throw new Error(message);
+  return number;
+};
+
+/**
+ * Valida y normaliza los campos de un libro a importar.
+ * @param {object} fields - Los campos leídos de la fila (ya con los nombres del modelo).
+ * @returns {object} Los datos para crear el libro.
+ */
+export const normalizeBookRow = (fields) => {
+  const titulo = sanitize(fields.titulo);
+  if (!titulo) throw new Error('Falta el título.');
+  const link = sanitize(fields.link);
+  if (!link) throw new Error('Falta el link.');
+  if (!isHttpUrl(link)) throw new Error('El link no es una URL válida.');
+
+  const book = { titulo, link };
+  const autor = sanitize(fields.autor);
+  if (autor) book.autor = autor;
+
+  const categorias = (Array.isArray(fields.categorias) ? fields.categorias : sanitize(fields.categorias).split(/[,;|]/))
+    .map(sanitize)
+    .filter(Boolean);
+  if (categorias.length > 0) book.categorias = categorias;
+
+  const idioma = sanitize(fields.idioma);
+  if (idioma) book.idioma = idioma;
+  if (sanitize(fields.anio)) book.anio = parseInteger(fields.anio, 'El año debe ser un número entero.');
+  if (sanitize(fields.paginas)) book.paginas = parseInteger(fields.paginas, 'Las páginas deben ser un número entero.');
+
+  const fileType = sanitize(fields.fileType).replace(/^\./, '').toUpperCase();
+  if (fileType) book.fileType = fileType;
+
+  const portada = sanitize(fields.portada);
+  if (portada && !isHttpUrl(portada)) throw new Error('La portada no es una URL válida.');
+  // Sin portada, la miniatura de Drive (como hacía el script de subida masiva)
+  const cover = portada || getDriveThumbnail(link);
+  if (cover) book.portada = cover;
+
+  const sinopsis = (fields.sinopsis ?? '').toString().trim();
+  if (sinopsis) book.sinopsis = sinopsis;
+
+  for (const flag of ['isPremium', 'isExclusive']) {
+    if (fields[flag] !== undefined && fields[flag] !== '') {
+      book[flag] = fields[flag] === true || TRUE_VALUES.includes(normalizeText(fields[flag]));
+    }
+  }
+  return book;
+};
+
+// "El_gran-gatsby.epub autor F. Scott Fitzgerald https://drive..." -> título, autor, link y formato
+const parseTextLine = (line) => {
+  const match = line.match(TEXT_LINE_REGEX);
+  if (!match) throw new Error('La línea no tiene el formato "título [autor nombre] link".');
+
+  const [, rawTitle, autor, link] = match;
+  // El título suele ser el nombre del archivo: sin extensión y con espacios en lugar de - _ .
+  const extension = rawTitle.match(/\.([a-z0-9]{2,5})$/i)?.[1];
+  const titulo = (extension ? rawTitle.slice(0, -(extension.length + 1)) : rawTitle).replace(/[-_.]/g, ' ');
+  return { titulo, autor, link, fileType: extension };
+};
+
+// Separa un CSV en filas de celdas: comillas dobles, "" escapadas y saltos de línea entre comillas
+const parseCsvRows = (content, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (content[i + 1] === '"') cell += content[++i];
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// El separador más usado en el encabezado (Excel en español exporta con ;)
+const detectDelimiter = (content) => {
+  const header = content.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t'].reduce((best, delimiter) =>
+    header.split(delimiter).length > header.split(best).length ? delimiter : best
+  );
+};
+
+const mapFields = (record) => {
+  const fields = {};
+  for (const [key, value] of Object.entries(record)) {
+    const field = toField(key);
+    if (field && fields[field] === undefined) fields[field] = value;
+  }
+  return fields;
+};
+
+const readRows = (format, content) => {
+  if (format === 'text') {
+    return content.split(/\r?\n/)
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        try {
+          return { fields: parseTextLine(line.trim()) };
+        } catch (error) {
+          return { error: error.message };
+        }
+      });
+  }
+
+  if (format === 'csv') {
+    const [header = [], ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ''), detectDelimiter(content));
+    const columns = header.map(toField);
+    if (!columns.includes('titulo')) {
+      throw new Error('El CSV no tiene la columna "titulo".');
+    }
+    return rows.map(cells => ({
+      fields: Object.fromEntries(columns
+        .map((field, i) => [field, cells[i]])
+        .filter(([field, value]) => field && value !== undefined))
+    }));
+  }
+
+  let records = content;
+  if (typeof content === 'string') {
+    try {
+      records = JSON.parse(content);
+    } catch {
+      throw new Error('El JSON no es válido.');
+    }
+  }
+  if (!Array.isArray(records)) records = records?.books;
+  if (!Array.isArray(records)) {
+    throw new Error('El JSON debe ser una lista de libros.');
+  }
+  return records.map(record => (record && typeof record === 'object' && !Array.isArray(record))
+    ? { fields: mapFields(record) }
+    : { error: 'La fila no es un objeto.' });
+};
+
+/**
+ * Lee el contenido de una importación y valida cada fila.
+ * @param {string} format - 'text' (una línea por libro), 'csv' (con encabezado) o 'json' (lista de objetos).
+ * @param {string|object[]} content - El contenido del archivo (en JSON también la lista ya leída).
+ * @returns {object[]} Por fila: `{ titulo, book }` si es válida o `{ titulo, error }` si no.
+ */
+export const parseImport = (format, content) => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error('Formato de importación inválido.');
+  }
+
+  return readRows(format, content).map(({ fields, error }) => {
+    const titulo = sanitize(fields?.titulo) || undefined;
+    if (error) return { titulo, error };
+    try {
+      return { titulo, book: normalizeBookRow(fields) };
+    } catch (rowError) {
+      return { titulo, error: rowError.message };
+    }
+  });
+};
@@ -0,0 +1,121 @@
+// utils/pagination.utils.js
+// Paginación por cursor (keyset): en lugar de saltar N documentos con skip, se
+// continúa desde los valores de orden del último documento de la página anterior.
+import mongoose from 'mongoose';
+
+/**
+ * Indica si el request pidió paginación por cursor (`?cursor=` vacío pide la primera página).
+ * @param {object} query - El req.query de Express.
+ * @returns {boolean} true si está el parámetro `cursor`.
+ */
+export const isCursorRequest = (query) => query.cursor !== undefined;
+
+// Fechas y ObjectId se guardan con una etiqueta para recuperar su tipo al decodificar
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value ?? null;
+};
+
+// El cursor viene del cliente: solo se aceptan valores simples o las etiquetas de arriba bien
+// formadas, así no se pueden meter operadores ($ne, $regex, ...) en la consulta
+const decodeValue = (value) => {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1) {
+    if (typeof value.d === 'string') {
+      const date = new Date(value.d);
+      if (!isNaN(date.getTime())) return date;
+    }
+    if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+      return new mongoose.Types.ObjectId(value.o);
+    }
+  }
+  throw new Error('Cursor inválido.');
+};
+
+/**
+ * Genera el cursor opaco a partir del último documento de la página.
+ * @param {object} doc - El último documento devuelto.
+ * @param {object} sort - El orden usado, ej. { averageRating: -1, _id: -1 }.
+ * @returns {string} El cursor en base64url.
+ */
+export const encodeCursor = (doc, sort) => {
+  const keys = Object.keys(sort);
+  // Las claves pueden ser rutas anidadas ('popularity.7d.score')
+  const valueOf = (key) => key.split('.').reduce((value, part) => value?.[part], doc);
+  const payload = { k: keys.join(','), v: keys.map(key => encodeValue(valueOf(key))) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodifica un cursor y valida que corresponda al orden actual.
+ * @param {string} cursor - El cursor recibido.
+ * @param {object} sort - El orden de la consulta actual.
+ * @returns {Array|null} Los valores de orden del último documento, o null si es la primera página.
+ */
+export const decodeCursor = (cursor, sort) => {
+  if (!cursor) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Cursor inválido.');
+  }
+
+  // Un cursor generado con otro orden (otros filtros) no sirve para esta consulta
+  const keys = Object.keys(sort);
+  if (!payload || payload.k !== keys.join(',') || !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+    throw new Error('Cursor inválido.');
+  }
+  return payload.v.map(decodeValue);
+};
+
+// Condiciones de "va después" para un campo. Mongo ordena null (o el campo faltante) antes que
+// cualquier valor: en orden descendente los null van al final y en ascendente al principio, y
+// $lt / $gt con null no encuentran nada
+const afterConditions = (descending, value) => {
+  if (value === null) return descending ? [] : [{ $ne: null }];
+  return descending ? [{ $lt: value }, null] : [{ $gt: value }];
+};
+
+/**
+ * Condición para traer los documentos que van después del cursor según el orden.
+ * Para { a: -1, _id: -1 } arma: a < va OR a = null OR (a = va AND _id < vid).
+ * El orden debe terminar en _id para que no haya empates.
+ * @param {object} sort - El orden de la consulta.
+ * @param {Array} values - Los valores decodificados del cursor.
+ * @returns {object} La condición para un find o $match ({} si no hay cursor).
+ */
+export const buildCursorCondition = (sort, values) => {
+  if (!values) return {};
+
+  const keys = Object.keys(sort);
+  const branches = keys.flatMap((key, i) => {
+    const equal = {};
+    for (let j = 0; j < i; j++) {
+      equal[keys[j]] = values[j];
+    }
+    return afterConditions(sort[key] === -1, values[i])
+      .filter(condition => condition !== null || key !== '_id') // _id nunca es null
+      .map(condition => ({ ...equal, [key]: condition }));
+  });
+
+  return { $or: branches };
+};
+
+/**
+ * Arma la página a partir de los documentos traídos con limit + 1.
+ * @param {object[]} docs - Los documentos (uno más que el límite si hay más páginas).
+ * @param {number} limit - El tamaño de página.
+ * @param {object} sort - El orden usado.
+ * @returns {object} `{ items, nextCursor }`; nextCursor es null en la última página.
+ */
+export const buildCursorPage = (docs, limit, sort) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore ? encodeCursor(items[items.length - 1], sort) : null;
+  return { items, nextCursor };
+};
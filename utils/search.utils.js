@@ -0,0 +1,237 @@
+// utils/search.utils.js
+// Búsqueda por texto normalizado: sin acentos, en minúsculas y sin regex del usuario.
+
+// Máximo de palabras de una búsqueda que se tienen en cuenta
+const MAX_SEARCH_TERMS = 5;
+
+/**
+ * Normaliza un texto para búsquedas: minúsculas, sin acentos y con espacios simples.
+ * "Acción  y Aventura" -> "accion y aventura"
+ * @param {string} str - El texto original.
+ * @returns {string} El texto normalizado ('' si no hay texto).
+ */
+export const normalizeText = (str) => (str || '')
+  .toString()
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Escapa los caracteres especiales para usar un texto literal dentro de una RegExp.
+ * @param {string} str - El texto a escapar.
+ * @returns {string} El texto escapado.
+ */
+export const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex segura de "contiene" sobre texto normalizado.
+ * @param {string} str - El texto ingresado por el usuario.
+ * @returns {RegExp} La regex lista para consultar un campo normalizado.
+ */
+export const containsRegex = (str) => new RegExp(escapeRegex(normalizeText(str)));
+
+/**
+ * Regex de prefijo sobre texto normalizado. Al estar anclada y sin flag 'i'
+ * puede usar el índice del campo normalizado.
+ * @param {string} str - El texto ingresado por el usuario.
+ * @returns {RegExp} La regex de "empieza con".
+ */
+export const prefixRegex = (str) => new RegExp(`^${escapeRegex(normalizeText(str))}`);
+
+/**
+ * Convierte un texto en un slug para URLs: "El Túnel" -> "el-tunel".
+ * @param {string} str - El texto original.
+ * @returns {string} El slug.
+ */
+export const slugify = (str) => normalizeText(str)
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Genera un slug libre a partir de un texto: "el-tunel", "el-tunel-2", ...
+ * @param {string} text - El texto original (título, nombre).
+ * @param {function(string): Promise<boolean>} isTaken - Indica si un slug ya está en uso.
+ * @param {string} [fallback] - El slug base si el texto no deja caracteres válidos.
+ * @returns {Promise<string>} El slug libre.
+ */
+export const buildUniqueSlug = async (text, isTaken, fallback = 'item') => {
+  const base = slugify(text) || fallback;
+  let candidate = base;
+  let suffix = 2;
+
+  while (await isTaken(candidate)) {
+    candidate = `${base}-${suffix}`;
+    suffix++;
+  }
+  return candidate;
+};
+
+/**
+ * Clave de comparación de nombres de persona: normalizada, sin signos y con las
+ * palabras ordenadas, para que "Aldous Huxley" y "Huxley, Aldous" coincidan.
+ * @param {string} name - El nombre original.
+ * @returns {string} La clave ("aldous huxley").
+ */
+export const buildNameKey = (name) => normalizeText(name)
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .split(' ')
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+/**
+ * Clave de comparación de categorías: normalizada y sin signos, para detectar
+ * variantes como "Ciencia Ficción", "ciencia-ficcion" o "Ciencia  ficcion".
+ * @param {string} name - El nombre original.
+ * @returns {string} La clave ("ciencia ficcion").
+ */
+export const buildCategoryKey = (name) => normalizeText(name)
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Separa una búsqueda en palabras normalizadas (sin repetidas).
+ * @param {string} q - La búsqueda del usuario.
+ * @returns {string[]} Las palabras a buscar.
+ */
+export const getSearchTerms = (q) => [...new Set(normalizeText(q).split(' ').filter(Boolean))]
+  .slice(0, MAX_SEARCH_TERMS);
+
+/**
+ * Condición de búsqueda: cada palabra debe aparecer en alguno de los campos normalizados.
+ * @param {string[]} terms - Las palabras de getSearchTerms.
+ * @param {string[]} paths - Las rutas de los campos normalizados (ej. 'searchText.titulo').
+ * @returns {object} La condición para un find o $match.
+ */
+export const buildTermsMatch = (terms, paths) => ({
+  $and: terms.map(term => {
+    const regex = new RegExp(escapeRegex(term));
+    return { $or: paths.map(path => ({ [path]: regex })) };
+  })
+});
+
+/**
+ * Expresión de agregación que puntúa la relevancia de cada documento.
+ * Por cada palabra y campo: 3 si el campo empieza con la palabra, 2 si aparece
+ * como palabra completa y 1 si solo es parte de otra palabra; multiplicado por
+ * el peso del campo. Los campos array toman el mejor de sus elementos.
+ * @param {string[]} terms - Las palabras de getSearchTerms.
+ * @param {object} weights - Peso por ruta, ej. { 'searchText.titulo': 3 }.
+ * @returns {object} La expresión para usar en un $addFields.
+ */
+export const buildRelevanceScore = (terms, weights) => {
+  const scoreOf = (input, term) => {
+    const escaped = escapeRegex(term);
+    return {
+      $cond: [
+        { $regexMatch: { input, regex: `^${escaped}` } }, 3,
+        {
+          $cond: [
+            { $regexMatch: { input, regex: `\\b${escaped}\\b` } }, 2,
+            { $cond: [{ $regexMatch: { input, regex: escaped } }, 1, 0] }
+          ]
+        }
+      ]
+    };
+  };
+
+  const parts = [];
+  for (const [path, weight] of Object.entries(weights)) {
+    for (const term of terms) {
+      const fieldScore = {
+        $cond: [
+          { $isArray: `$${path}` },
+          {
+            $max: [0, {
+              $max: {
+                $map: { input: `$${path}`, as: 'value', in: scoreOf({ $ifNull: ['$$value', ''] }, term) }
+              }
+            }]
+          },
+          scoreOf({ $ifNull: [`$${path}`, ''] }, term)
+        ]
+      };
+      parts.push({ $multiply: [fieldScore, weight] });
+    }
+  }
+
+  return { $add: parts };
+};
+
+/**
+ * Plugin de Mongoose que mantiene copias normalizadas (`searchText.<campo>`) de los
+ * campos indicados, para buscar sin acentos ni mayúsculas y con índices.
+ * Se actualizan al guardar y en findOneAndUpdate/updateOne/updateMany con $set.
+ * Agrega el static `backfillSearchText()` para completar documentos viejos.
+ * @param {mongoose.Schema} schema - El esquema a extender.
+ * @param {object} options - `{ fields: ['titulo', 'autor', ...] }`.
+ */
+export const searchTextPlugin = (schema, { fields }) => {
+  const definition = {};
+  for (const field of fields) {
+    const isArray = schema.path(field)?.instance === 'Array';
+    // select: false para que no viajen en las respuestas de la API
+    definition[field] = { type: isArray ? [String] : String, select: false };
+  }
+  schema.add({ searchText: definition });
+
+  for (const field of fields) {
+    schema.index({ [`searchText.${field}`]: 1 });
+  }
+
+  const normalizeValue = (value) => Array.isArray(value)
+    ? value.map(normalizeText)
+    : normalizeText(value);
+
+  schema.pre('save', function () {
+    for (const field of fields) {
+      if (this.isNew || this.isModified(field)) {
+        this.set(`searchText.${field}`, normalizeValue(this.get(field)));
+      }
+    }
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    const update = this.getUpdate();
+    if (!update) return;
+
+    // Los campos sueltos (sin operador) son un $set implícito
+    for (const field of fields) {
+      const value = update.$set?.[field] !== undefined ? update.$set[field] : update[field];
+      if (value === undefined) continue;
+
+      update.$set = update.$set || {};
+      update.$set[`searchText.${field}`] = normalizeValue(value);
+    }
+    this.setUpdate(update);
+  });
+
+  schema.statics.backfillSearchText = async function (batchSize = 500) {
+    const missing = { $or: fields.map(field => ({ [`searchText.${field}`]: { $exists: false } })) };
+    const projection = Object.fromEntries(fields.map(field => [field, 1]));
+    const cursor = this.find(missing, projection).lean().cursor();
+
+    let ops = [];
+    let updated = 0;
+    for await (const doc of cursor) {
+      const $set = {};
+      for (const field of fields) {
+        $set[`searchText.${field}`] = normalizeValue(doc[field]);
+      }
+      ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+
+      if (ops.length >= batchSize) {
+        await this.bulkWrite(ops, { ordered: false });
+        updated += ops.length;
+        ops = [];
+      }
+    }
+    if (ops.length > 0) {
+      await this.bulkWrite(ops, { ordered: false });
+      updated += ops.length;
+    }
+    return updated;
+  };
+};
@@ -0,0 +1,71 @@
+// utils/zip.utils.js
+// Lectura mínima de archivos ZIP en memoria (un EPUB es un ZIP): el índice central y las
+// entradas guardadas sin comprimir o con deflate, los dos métodos que usan los EPUB.
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// Tamaño máximo de una entrada descomprimida (protege de archivos que se inflan sin límite)
+const MAX_ENTRY_SIZE = 10 * 1024 * 1024;
+
+// El registro final mide 22 bytes más un comentario opcional de hasta 64 KB
+const findEndOfCentralDirectory = (buffer) => {
+  const last = buffer.length - 22;
+  for (let offset = last; offset >= Math.max(0, last - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('El archivo no es un ZIP válido.');
+};
+
+/**
+ * Lee el índice de un ZIP.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @returns {Map<string, object>} Por nombre de entrada: `{ method, compressedSize, localOffset }`.
+ */
+export const listZipEntries = (buffer) => {
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('El índice del ZIP está dañado.');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+/**
+ * Devuelve el contenido descomprimido de una entrada de un ZIP.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @param {Map<string, object>} entries - El índice (de `listZipEntries`).
+ * @param {string} name - El nombre de la entrada ("META-INF/container.xml").
+ * @returns {Buffer|null} El contenido o null si la entrada no existe.
+ */
+export const readZipEntry = (buffer, entries, name) => {
+  const entry = entries.get(name);
+  if (!entry) return null;
+
+  const { localOffset, compressedSize, method } = entry;
+  if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+    throw new Error('El ZIP está dañado.');
+  }
+  // El encabezado local tiene su propio largo de nombre y de campo extra
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(start, start + compressedSize);
+
+  if (method === 0) return data;
+  if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+  throw new Error('Método de compresión del ZIP no soportado.');
+};